@@ -3,24 +3,76 @@
  * Smart response system with Speech Recognition and Text-to-Speech
  */
 
+// Speaking-language modes for speech recognition; 'auto' follows the learner's last language
+const LANGUAGE_MODES = {
+  en: { label: 'English', recognition: 'en-US' },
+  ko: { label: '한국어', recognition: 'ko-KR' },
+  auto: { label: 'Auto', recognition: null }
+};
+
+// An unreachable LLM provider is probed again after this long, doubling up to the max (ms)
+const LLM_RETRY_DELAY = 5000;
+const LLM_MAX_RETRY_DELAY = 120000;
+// Most recent messages (learner and NPC) sent with each request; override with llm.historyMessages
+const LLM_HISTORY_MESSAGES = 20;
+
+// Voice used when an NPC has no voice profile
+const DEFAULT_VOICE_PROFILE = {
+  lang: 'en-US',
+  voiceNames: { en: [], ko: [] },
+  rate: 1.0,
+  pitch: 1.0,
+  volume: 1.0
+};
+
 class AIChat {
   constructor() {
-    this.engine = null;
+    this.provider = null;
+    this.llmConfig = {};
     this.isLoaded = false;
+    this.probeTimer = null;
+    this.probeDelay = 0;
     this.isGenerating = false;
     this.currentNPC = null;
     this.conversationHistory = {};
+    this.store = new ConversationStore();
+    this.memory = new ConversationMemory();
     this.speechSynthesis = window.speechSynthesis;
     this.speechRecognition = null;
     this.isRecording = false;
+    this.recognitionLang = null;
     this.voicesLoaded = false;
 
+    // Speaking language per NPC ('en' | 'ko' | 'auto'), saved across sessions
+    this.languageModes = Settings.get('languageModes', {});
+    this.lastInputLang = {};
+
+    // Phrase an NPC asked the learner to say: { npcId, phrase }
+    this.pronunciationTarget = null;
+
+    // Word a student asked the meaning of: { npcId, word }; learner turns since the last quiz
+    this.vocabularyQuiz = null;
+    this.quizTurns = 0;
+    this.lastQuizAt = 0;
+
+    // Streaming reply + sentence-by-sentence speech
+    this.abortController = null;
+    this.activeTurn = null;
+    this.speechQueue = [];
+    this.currentUtterance = null;  // utterance or spatial voice playback
+    this.isSpeaking = false;
+    this.lastLine = null;
+    this.messageCount = 0;
+
     // UI elements
     this.chatUI = null;
     this.chatMessages = null;
     this.chatInput = null;
     this.voiceBtn = null;
     this.sendBtn = null;
+    this.stopBtn = null;
+    this.langSelect = null;
+    this.importInput = null;
     this.currentNPCLabel = null;
     this.aiStatusEl = null;
 
@@ -53,6 +105,9 @@ class AIChat {
     this.chatInput = document.getElementById('chat-input');
     this.voiceBtn = document.getElementById('voice-btn');
     this.sendBtn = document.getElementById('send-btn');
+    this.stopBtn = document.getElementById('stop-btn');
+    this.langSelect = document.getElementById('lang-select');
+    this.importInput = document.getElementById('import-input');
     this.currentNPCLabel = document.getElementById('current-npc');
 
     // Create AI status indicator
@@ -64,7 +119,7 @@ class AIChat {
     // Initialize speech recognition
     this.initSpeechRecognition();
 
-    // Try to load WebLLM (may fail on devices without WebGPU)
+    // Connect to the configured LLM provider (falls back to smart mode)
     await this.loadModel();
   }
 
@@ -84,30 +139,109 @@ class AIChat {
   }
 
   async loadModel() {
-    // Show progress
-    const progressFill = document.getElementById('progress-fill');
-    const loadingStatus = document.getElementById('loading-status');
-
-    if (progressFill) progressFill.style.width = '50%';
-    if (loadingStatus) loadingStatus.textContent = 'Loading AI system...';
+    window.loadingProgress?.set('ai', 0, 'Loading AI system...');
     this.updateStatus('Initializing...');
 
-    // Small delay for visual feedback
-    await new Promise(resolve => setTimeout(resolve, 500));
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.probeDelay = 0;
+
+    this.llmConfig = this.getLLMConfig();
+    this.provider = createLLMProvider(this.llmConfig);
+    this.isLoaded = this.provider ? await this.provider.isAvailable() : false;
+
+    // Hides the loading screen once the other parts are done too
+    window.loadingProgress?.complete('ai');
+
+    if (this.isLoaded) {
+      this.updateStatus('AI Ready', true);
+      console.log(`AI Chat system ready (${this.provider.name}: ${this.provider.baseURL})`);
+    } else {
+      // Use smart response mode (works on all devices)
+      this.updateStatus('AI Ready (Smart Mode)', true);
+      console.log(this.provider
+        ? 'LLM provider unreachable, using Smart Mode'
+        : 'AI Chat system ready (Smart Mode)');
+      if (this.provider) this.scheduleProbe();
+    }
+  }
 
-    if (progressFill) progressFill.style.width = '100%';
-    if (loadingStatus) loadingStatus.textContent = 'Ready!';
+  // Smart mode stands in while the provider is unreachable; keep checking, backing off each time,
+  // so replies go back to the LLM once it is up again
+  scheduleProbe() {
+    if (this.probeTimer) return;
+
+    const provider = this.provider;
+    this.probeDelay = Math.min(this.probeDelay * 2 || LLM_RETRY_DELAY, LLM_MAX_RETRY_DELAY);
+    this.probeTimer = setTimeout(async () => {
+      this.probeTimer = null;
+      const available = await provider.isAvailable();
+      // configureLLM() may have swapped the provider meanwhile
+      if (this.provider !== provider || this.isLoaded) return;
+
+      if (available) {
+        this.isLoaded = true;
+        this.probeDelay = 0;
+        this.updateStatus('AI Ready', true);
+        console.log(`LLM provider reachable again (${provider.name})`);
+      } else {
+        this.scheduleProbe();
+      }
+    }, this.probeDelay);
+  }
 
-    // Use smart response mode (works on all devices)
-    this.isLoaded = false;
-    this.updateStatus('AI Ready', true);
-    console.log('AI Chat system ready (Smart Mode)');
+  // LLM settings: window.CLASSROOM_CONFIG.llm < localStorage < URL (?llm=<baseURL>&model=<name>)
+  getLLMConfig() {
+    const config = { ...(window.CLASSROOM_CONFIG?.llm || {}) };
 
-    // Hide loading screen
-    const loadingScreen = document.getElementById('loading-screen');
-    if (loadingScreen) {
-      loadingScreen.classList.add('hidden');
+    try {
+      Object.assign(config, JSON.parse(localStorage.getItem('llm-config') || '{}'));
+    } catch (e) {
+      console.warn('Ignoring invalid llm-config in localStorage');
     }
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('llm')) config.baseURL = params.get('llm');
+    if (params.get('model')) config.model = params.get('model');
+
+    return config;
+  }
+
+  // Save LLM settings and reconnect, e.g. aiChat.configureLLM({ baseURL: 'http://localhost:8000/v1' })
+  async configureLLM(config) {
+    localStorage.setItem('llm-config', JSON.stringify(config || {}));
+    await this.loadModel();
+  }
+
+  // A conversation in chat-completions form: [{ role, content }]
+  // Earlier replies keep their [emotion] tag, so the model sees the format it is asked for
+  toPromptTurns(history) {
+    return history
+      .filter(msg => msg.content)
+      .map(msg => ({
+        role: msg.role,
+        content: msg.role === 'assistant' && msg.emotion ? `[${msg.emotion}] ${msg.content}` : msg.content
+      }));
+  }
+
+  // Chat-completions messages: the NPC's system prompt followed by the most recent turns
+  // turns is this learner's conversation unless given; a classmate's arrives with their reply request
+  buildMessages(npcId, config, lang = 'en', turns = this.toPromptTurns(this.getHistory(npcId))) {
+    let systemPrompt = config.systemPrompt || `You are ${config.name}, a student in a Korean classroom.`;
+
+    // Answer in the language the learner just used
+    if (lang === 'ko') {
+      systemPrompt += '\n\nThe teacher is practising Korean and just spoke to you in Korean. Reply in simple, natural Korean (polite 해요체).';
+    } else {
+      systemPrompt += '\n\nThe teacher just spoke to you in English. Reply in English.';
+    }
+    systemPrompt += `\n\n${Emotion.instruction}`;
+
+    const limit = this.llmConfig.historyMessages || LLM_HISTORY_MESSAGES;
+    return [
+      { role: 'system', content: systemPrompt },
+      ...turns.slice(-limit)
+    ];
   }
 
   setupEventListeners() {
@@ -116,6 +250,28 @@ class AIChat {
       this.sendBtn.addEventListener('click', () => this.sendMessage());
     }
 
+    // Stop button - cancel the reply being generated or spoken
+    if (this.stopBtn) {
+      this.stopBtn.addEventListener('click', () => this.stopReply());
+    }
+
+    // Speaking language for the current student
+    if (this.langSelect) {
+      this.langSelect.addEventListener('change', () => this.setLanguageMode(this.langSelect.value));
+    }
+
+    // Transcript export/import
+    document.getElementById('export-json-btn')?.addEventListener('click', () => this.exportTranscripts('json'));
+    document.getElementById('export-md-btn')?.addEventListener('click', () => this.exportTranscripts('md'));
+    document.getElementById('import-btn')?.addEventListener('click', () => this.importInput?.click());
+    if (this.importInput) {
+      this.importInput.addEventListener('change', () => {
+        const file = this.importInput.files[0];
+        if (file) this.importTranscripts(file);
+        this.importInput.value = '';
+      });
+    }
+
     // Enter key in input
     if (this.chatInput) {
       this.chatInput.addEventListener('keypress', (e) => {
@@ -128,13 +284,7 @@ class AIChat {
 
     // Voice button - click to toggle recording
     if (this.voiceBtn) {
-      this.voiceBtn.addEventListener('click', () => {
-        if (this.isRecording) {
-          this.stopRecording();
-        } else {
-          this.startRecording();
-        }
-      });
+      this.voiceBtn.addEventListener('click', () => this.toggleRecording());
     }
 
     // Close chat when pressing Escape
@@ -160,7 +310,7 @@ class AIChat {
     this.speechRecognition = new SpeechRecognition();
     this.speechRecognition.continuous = false;
     this.speechRecognition.interimResults = true;
-    this.speechRecognition.lang = 'en-US';
+    this.speechRecognition.lang = LANGUAGE_MODES.en.recognition;
 
     this.speechRecognition.onstart = () => {
       console.log('Speech recognition started');
@@ -169,6 +319,7 @@ class AIChat {
         this.voiceBtn.classList.add('recording');
         this.voiceBtn.textContent = '🔴';
       }
+      this.emitSceneEvent('chat-recording-changed', { recording: true });
       this.addMessageToUI('system', '🎤 Listening...');
     };
 
@@ -198,9 +349,15 @@ class AIChat {
         // Remove "Listening..." message
         const systemMsgs = this.chatMessages?.querySelectorAll('.chat-message.system');
         systemMsgs?.forEach(msg => {
-          if (msg.textContent.includes('Listening')) msg.remove();
+          if (msg.textContent.includes('Listening')) this.removeMessageFromUI(msg);
         });
-        this.sendMessage();
+
+        // In auto mode the recognizer may still return the other script, so check what came back
+        const recognizedLang = this.recognitionLang === LANGUAGE_MODES.ko.recognition ? 'ko' : 'en';
+        const lang = this.getLanguageMode() === 'auto'
+          ? Hangul.detectLanguage(finalTranscript, recognizedLang)
+          : recognizedLang;
+        this.sendMessage({ lang, source: 'voice' });
       }
     };
 
@@ -221,6 +378,14 @@ class AIChat {
     };
   }
 
+  toggleRecording() {
+    if (this.isRecording) {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+
   startRecording() {
     if (!this.speechRecognition) {
       this.addMessageToUI('system', '⚠️ Speech recognition not available in this browser');
@@ -232,6 +397,9 @@ class AIChat {
       return;
     }
 
+    this.recognitionLang = this.getRecognitionLang(this.currentNPC.id);
+    this.speechRecognition.lang = this.recognitionLang;
+
     try {
       this.speechRecognition.start();
     } catch (e) {
@@ -240,6 +408,9 @@ class AIChat {
   }
 
   stopRecording() {
+    if (this.isRecording) {
+      this.emitSceneEvent('chat-recording-changed', { recording: false });
+    }
     this.isRecording = false;
     if (this.voiceBtn) {
       this.voiceBtn.classList.remove('recording');
@@ -252,13 +423,44 @@ class AIChat {
     }
   }
 
-  startConversation(npcId, config) {
-    this.currentNPC = { id: npcId, config };
+  // Without an NPC the 'default' mode is used, which applies to students not set individually
+  getLanguageMode(npcId = this.currentNPC?.id) {
+    return this.languageModes[npcId] || this.languageModes.default || 'en';
+  }
 
-    // Initialize conversation history for this NPC if not exists
-    if (!this.conversationHistory[npcId]) {
-      this.conversationHistory[npcId] = [];
+  setLanguageMode(mode, npcId = this.currentNPC?.id || 'default') {
+    if (!LANGUAGE_MODES[mode]) return;
+
+    this.languageModes[npcId] = mode;
+    Settings.set('languageModes', this.languageModes);
+
+    if (this.langSelect && npcId === this.currentNPC?.id) {
+      this.langSelect.value = mode;
     }
+    this.emitSceneEvent('language-mode-changed', { npcId, mode });
+  }
+
+  // BCP-47 tag for the recognizer; auto mode listens for the language the learner used last (Korean first)
+  getRecognitionLang(npcId) {
+    const mode = this.getLanguageMode(npcId);
+    const lang = mode === 'auto' ? (this.lastInputLang[npcId] || 'ko') : mode;
+    return LANGUAGE_MODES[lang].recognition;
+  }
+
+  emitSceneEvent(name, detail) {
+    const scene = document.querySelector('a-scene');
+    if (scene) {
+      scene.emit(name, detail);
+    }
+  }
+
+  // options.greet: false skips the greeting (the lesson runner speaks its own lines)
+  startConversation(npcId, config, { greet = true } = {}) {
+    this.currentNPC = { id: npcId, config };
+
+    // Restore saved conversation history for this NPC
+    const history = this.getHistory(npcId);
+    this.emitSceneEvent('chat-conversation-started', { npcId, config });
 
     // Update NPC manager
     if (window.npcManager) {
@@ -275,19 +477,25 @@ class AIChat {
       this.currentNPCLabel.textContent = `Talking to: ${config.name} (${config.nameKorean})`;
     }
 
+    // Restore this student's speaking language
+    const mode = this.getLanguageMode(npcId);
+    if (this.langSelect) {
+      this.langSelect.value = mode;
+    }
+    this.emitSceneEvent('language-mode-changed', { npcId, mode });
+
     // Clear previous messages display and show history
     if (this.chatMessages) {
-      this.chatMessages.innerHTML = '';
+      this.clearMessagesUI();
 
       // Show conversation history
-      this.conversationHistory[npcId].forEach(msg => {
-        this.addMessageToUI(msg.role === 'user' ? 'user' : 'npc', msg.content);
-      });
+      this.renderHistory(history);
 
       // Welcome message if new conversation
-      if (this.conversationHistory[npcId].length === 0) {
-        const greeting = this.getGreeting(npcId, config);
+      if (history.length === 0 && greet) {
+        const greeting = this.getGreeting(npcId, config, mode === 'ko' ? 'ko' : 'en');
         this.addMessageToUI('npc', greeting);
+        this.lastLine = { npcId, text: greeting };
         this.speak(greeting);
       }
     }
@@ -298,39 +506,136 @@ class AIChat {
     }
   }
 
-  getGreeting(npcId, config) {
-    const greetings = {
-      'minjun': "Hello, teacher! 안녕하세요! I'm Min-jun, the class president. How can I help you today?",
-      'sooyeon': "Oh... hello, teacher... *looks up shyly* I was just... drawing something...",
-      'jihoon': "Hey, 선생님! What's up? Finally someone to talk to! This class was getting boring, haha!",
-      'yuna': "Good day, teacher. I've completed all my assignments. Did you want to discuss the upcoming exam?"
-    };
-    return greetings[npcId] || `Hello, I'm ${config.name}.`;
+  renderHistory(history) {
+    history.forEach(msg => {
+      if (msg.pronunciation) {
+        this.addPronunciationResultToUI(msg.pronunciation, msg.content);
+        return;
+      }
+      const msgEl = this.addMessageToUI(msg.role === 'user' ? 'user' : 'npc', msg.content);
+      if (msg.interrupted && msgEl) msgEl.classList.add('interrupted');
+    });
+  }
+
+  // History for an NPC, loaded from storage the first time it is needed
+  getHistory(npcId) {
+    if (!this.conversationHistory[npcId]) {
+      this.conversationHistory[npcId] = this.store.load(npcId);
+    }
+    return this.conversationHistory[npcId];
+  }
+
+  // Append a timestamped message to an NPC's history and save it
+  recordMessage(npcId, message) {
+    const entry = { ...message, timestamp: new Date().toISOString() };
+    this.getHistory(npcId).push(entry);
+    this.store.save(npcId, this.conversationHistory[npcId]);
+    this.emitSceneEvent('chat-message-recorded', { npcId, message: entry });
+    return entry;
+  }
+
+  // A message someone else in the classroom exchanged with an NPC; shown and spoken if we are there too
+  // It stays out of this learner's history, so it never reaches their memory, transcripts, vocabulary or the LLM
+  receiveRemoteMessage(npcId, message, peer) {
+    if (!STUDENT_PERSONALITIES[npcId] || !message || typeof message.content !== 'string') return;
+    if (this.currentNPC?.id !== npcId) return;
+
+    if (message.role === 'user') {
+      this.addMessageToUI('peer', `${peer?.name || 'Classmate'}: ${message.content}`);
+    } else if (message.pronunciation) {
+      this.addPronunciationResultToUI(message.pronunciation, message.content);
+    } else if (message.content) {
+      this.addMessageToUI('npc', message.content);
+      this.queueSpeech(message.content, npcId);
+    }
+  }
+
+  // Every NPC with a saved or in-memory conversation
+  getAllHistories() {
+    const ids = new Set([...Object.keys(STUDENT_PERSONALITIES), ...Object.keys(this.conversationHistory)]);
+    const histories = {};
+    ids.forEach(id => {
+      histories[id] = this.getHistory(id);
+    });
+    return histories;
+  }
+
+  // Download all transcripts as 'json' (re-importable) or 'md' (readable)
+  exportTranscripts(format = 'json') {
+    const histories = this.getAllHistories();
+    const content = format === 'md'
+      ? this.store.exportMarkdown(histories, STUDENT_PERSONALITIES)
+      : this.store.exportJSON(histories, STUDENT_PERSONALITIES);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const blob = new Blob([content], { type: format === 'md' ? 'text/markdown' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `classroom-transcripts-${date}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  async importTranscripts(file) {
+    try {
+      const imported = this.store.parseImport(await file.text());
+      let count = 0;
+
+      Object.entries(imported).forEach(([npcId, messages]) => {
+        const before = this.getHistory(npcId).length;
+        this.conversationHistory[npcId] = this.store.merge(this.getHistory(npcId), messages);
+        this.store.save(npcId, this.conversationHistory[npcId]);
+        this.memory.forget(npcId);
+        count += this.conversationHistory[npcId].length - before;
+      });
+
+      // Refresh the open conversation
+      if (this.currentNPC && this.chatMessages) {
+        this.clearMessagesUI();
+        this.renderHistory(this.getHistory(this.currentNPC.id));
+      }
+      this.addMessageToUI('system', `📥 Imported ${count} messages`);
+    } catch (error) {
+      console.error('Failed to import transcripts:', error);
+      this.addMessageToUI('system', '⚠️ Could not read that transcript file');
+    }
+  }
+
+  getGreeting(npcId, config, lang = 'en') {
+    const greeting = config.greeting || {};
+    return greeting[lang] || greeting.en || `Hello, I'm ${config.name}.`;
   }
 
   endConversation() {
     if (this.currentNPC && window.npcManager) {
       window.npcManager.setActiveNPC(null);
     }
-
-    // Stop any ongoing speech
-    if (this.speechSynthesis) {
-      this.speechSynthesis.cancel();
+    if (this.currentNPC) {
+      this.emitSceneEvent('chat-conversation-ended', { npcId: this.currentNPC.id });
     }
 
+    // Stop any ongoing reply and speech
+    this.stopReply();
+
     this.currentNPC = null;
+    this.vocabularyQuiz = null;
 
     if (this.chatUI) {
       this.chatUI.classList.add('hidden');
     }
   }
 
-  async sendMessage() {
+  // options.lang is the language speech recognition heard; typed text is detected from its script
+  // options.source is 'voice' for recognised speech
+  async sendMessage(options = {}) {
     if (!this.currentNPC || this.isGenerating) return;
 
     const message = this.chatInput?.value.trim();
     if (!message) return;
 
+    const lang = options.lang || Hangul.detectLanguage(message, this.lastInputLang[this.currentNPC.id]);
+    this.lastInputLang[this.currentNPC.id] = lang;
+
     // Clear input
     if (this.chatInput) this.chatInput.value = '';
 
@@ -338,240 +643,636 @@ class AIChat {
     this.addMessageToUI('user', message);
 
     // Add to history
-    this.conversationHistory[this.currentNPC.id].push({
+    this.recordMessage(this.currentNPC.id, {
       role: 'user',
-      content: message
+      content: message,
+      lang,
+      source: options.source === 'voice' ? 'voice' : 'typed'
     });
 
+    // A running lesson waiting for this answer takes it instead of the chat
+    if (window.lessonRunner?.handleInput(this.currentNPC.id, message)) {
+      return;
+    }
+
+    // The meaning of a word a student just quizzed the learner on
+    this.quizTurns++;
+    if (this.vocabularyQuiz?.npcId === this.currentNPC.id && this.respondToQuiz(this.currentNPC.id, message)) {
+      return;
+    }
+
+    // Spoken Korean answer to a "say ..." prompt gets a pronunciation score instead of a reply
+    if (this.shouldScorePronunciation(this.currentNPC.id, options.source)) {
+      this.respondToPronunciation(this.currentNPC.id, message);
+      return;
+    }
+
     // Generate response
-    await this.generateResponse(message);
+    await this.generateResponse(message, { lang });
   }
 
-  async generateResponse(userMessage) {
+  async generateResponse(userMessage, { lang = 'en' } = {}) {
     this.isGenerating = true;
+    const npcId = this.currentNPC.id;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    this.updateStopButton();
 
     // Show loading indicator
     const loadingMsgEl = this.addMessageToUI('loading', 'Thinking');
 
+    // The reply bubble fills in as text arrives; finished sentences are spoken right away
+    const turn = { npcId, entry: null, msgEl: null, text: '', emotion: null, spokenUpTo: 0 };
+    this.activeTurn = turn;
+
+    const onToken = (token, raw) => {
+      if (signal.aborted) return;
+      // Keep the [emotion] tag out of the bubble and the voice
+      const { text } = Emotion.parse(raw);
+      if (!text) return;
+      turn.text = text;
+
+      if (!turn.msgEl) {
+        this.removeMessageFromUI(loadingMsgEl);
+        turn.msgEl = this.addMessageToUI('npc', '');
+      }
+      this.updateMessageInUI(turn.msgEl, text);
+
+      const { sentences, next } = this.takeSentences(text, turn.spokenUpTo);
+      turn.spokenUpTo = next;
+      sentences.forEach(sentence => this.queueSpeech(sentence, npcId));
+    };
+
     try {
-      // Generate smart response
-      const response = await this.generateSmartResponse(userMessage);
+      const response = await this.getReply(npcId, this.currentNPC.config, userMessage, { lang, onToken, signal });
+      if (!signal.aborted) {
+        const reply = Emotion.parse(response);
+        turn.text = reply.text;
+        turn.emotion = reply.emotion;
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        console.error('Error generating response:', error);
+        this.removeMessageFromUI(loadingMsgEl);
+        this.activeTurn = null;
+        const fallback = "Sorry, I didn't quite catch that. Could you say it again?";
+        this.addMessageToUI('npc', fallback);
+        this.lastLine = { npcId, text: fallback };
+        this.speak(fallback, npcId);
+        this.finishGeneration();
+        return;
+      }
+    }
 
-      // Remove loading message
-      if (loadingMsgEl) loadingMsgEl.remove();
+    // Remove loading message
+    this.removeMessageFromUI(loadingMsgEl);
 
-      // Add response to UI
-      this.addMessageToUI('npc', response);
+    // Show the final text (or whatever arrived before a stop)
+    if (turn.msgEl) {
+      this.updateMessageInUI(turn.msgEl, turn.text);
+    } else if (turn.text) {
+      turn.msgEl = this.addMessageToUI('npc', turn.text);
+    }
 
-      // Add to history
-      this.conversationHistory[this.currentNPC.id].push({
-        role: 'assistant',
-        content: response
-      });
+    // Add to history; a reply stopped before its first word leaves nothing to keep
+    if (turn.text) {
+      turn.emotion = turn.emotion || Emotion.tag(turn.text);
+      turn.entry = this.recordMessage(npcId, { role: 'assistant', content: turn.text, emotion: turn.emotion });
+      this.lastLine = { npcId, text: turn.text };
+    }
+
+    if (signal.aborted) {
+      if (turn.text) this.markInterrupted(turn);
+    } else {
+      // The NPC may have asked the learner to say something
+      const phrase = Pronunciation.findPrompt(turn.text);
+      if (phrase) {
+        this.setPronunciationTarget(phrase, npcId);
+      }
 
-      // Trigger NPC reaction
+      // React the way this student shows the reply's emotion
       if (window.npcManager) {
-        const reactions = ['nod', 'excited'];
-        const reaction = reactions[Math.floor(Math.random() * reactions.length)];
-        window.npcManager.triggerReaction(this.currentNPC.id, reaction);
+        window.npcManager.triggerReaction(npcId, Emotion.reactionFor(turn.emotion, this.currentNPC.config));
       }
 
-      // Text to speech
-      this.speak(response);
+      // Speak whatever is left after the last finished sentence
+      const rest = turn.text.slice(turn.spokenUpTo).trim();
+      if (rest) this.queueSpeech(rest, npcId);
 
-    } catch (error) {
-      console.error('Error generating response:', error);
-      if (loadingMsgEl) loadingMsgEl.remove();
-      const fallback = "Sorry, I didn't quite catch that. Could you say it again?";
-      this.addMessageToUI('npc', fallback);
-      this.speak(fallback);
+      this.maybeQuiz(npcId);
     }
 
+    this.finishGeneration();
+  }
+
+  finishGeneration() {
     this.isGenerating = false;
+    this.abortController = null;
+    if (this.activeTurn && !this.isSpeaking) {
+      this.activeTurn = null;
+    }
+    this.updateStopButton();
   }
 
-  async generateSmartResponse(userMessage) {
-    // Simulate thinking delay
-    await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1000));
+  // A line the NPC says unprompted (lesson steps); shown, saved and spoken like a reply
+  sayLine(npcId, text) {
+    if (this.currentNPC?.id === npcId) {
+      this.addMessageToUI('npc', text);
+    }
+    this.recordMessage(npcId, { role: 'assistant', content: text });
+    this.lastLine = { npcId, text };
+    this.setPronunciationTarget(Pronunciation.findPrompt(text), npcId);
+    this.speak(text, npcId);
+  }
 
-    const npcId = this.currentNPC.id;
-    const lowerMsg = userMessage.toLowerCase();
-    const history = this.conversationHistory[npcId] || [];
-
-    // Personality-based response generation
-    const personalities = {
-      'minjun': {
-        style: 'formal and helpful',
-        traits: ['eager', 'responsible', 'polite'],
-        responses: {
-          greeting: ["Hello! How can I assist you, 선생님?", "Good to see you, teacher! What would you like to discuss?"],
-          question: ["That's a great question! Let me think... I believe the answer involves careful consideration of all factors.", "I've actually studied this! The key point is to approach it systematically."],
-          name: ["I'm Min-jun, 민준 in Korean. I'm the class president this year!", "My name is Min-jun! I try my best to help everyone in class."],
-          hobby: ["I enjoy organizing study groups and helping classmates. I also like reading history books!", "Besides studying, I volunteer at the school library. It's important to give back!"],
-          feeling: ["I'm doing well, thank you for asking! Ready to learn as always.", "I feel motivated today! There's so much to accomplish."],
-          school: ["School is very important to me. Education opens many doors!", "I love our school! The teachers here are wonderful."],
-          default: ["Yes, 선생님! I understand.", "I'll do my best to help!", "That's interesting! Tell me more."]
-        }
-      },
-      'sooyeon': {
-        style: 'shy and artistic',
-        traits: ['quiet', 'creative', 'thoughtful'],
-        responses: {
-          greeting: ["Oh... hi... *looks down*", "H-hello, teacher..."],
-          question: ["Um... I think... maybe... *pauses* ...I'm not entirely sure, but perhaps...", "That's... that's a hard question... let me think..."],
-          name: ["I'm... Soo-yeon... 수연... *quietly*", "My name is Soo-yeon. Most people don't notice me much..."],
-          hobby: ["I... I like to draw... *shows sketchbook nervously* ...would you like to see?", "I spend most of my time drawing. It helps me express things I can't say..."],
-          feeling: ["I'm... okay, I guess... *looks out window*", "A little tired today... I was up late drawing..."],
-          art: ["*eyes light up* Oh! You want to see my art? I... I drew the sky outside today...", "Drawing is... it's like my voice, you know? When I can't speak, I draw."],
-          default: ["...okay.", "*nods quietly*", "I see...", "...maybe..."]
-        }
-      },
-      'jihoon': {
-        style: 'funny and casual',
-        traits: ['humorous', 'friendly', 'energetic'],
-        responses: {
-          greeting: ["Yo, 선생님! What's good?", "Hey hey hey! Finally, someone fun to talk to!"],
-          question: ["Ooh, tough question! Let me put on my thinking cap... 🤔 Actually, I lost my thinking cap. Haha!", "Hmm, let me consult my brain... it says 'error 404: answer not found'! Just kidding, I think..."],
-          name: ["The name's Ji-hoon! 지훈! The one and only class entertainer!", "I'm Ji-hoon! If you ever need a laugh, I'm your guy!"],
-          hobby: ["I'm basically a professional meme collector. Also, I play games and make everyone laugh!", "Hobbies? Making people smile! Also sneaking snacks into class... don't tell anyone!"],
-          feeling: ["Living the dream, teach! Or at least dreaming about living, haha!", "Feeling awesome! Every day is a chance for new jokes!"],
-          joke: ["Why did the student eat his homework? Because his teacher said it was a piece of cake! 🎂", "What do you call a sleeping dinosaur? A dino-snore! Get it?"],
-          default: ["Ha! Nice one!", "That's hilarious... wait, was that serious?", "You got it, boss!", "This class just got interesting!"]
-        }
-      },
-      'yuna': {
-        style: 'studious and precise',
-        traits: ['academic', 'competitive', 'focused'],
-        responses: {
-          greeting: ["Good day, teacher. I've prepared for today's lesson.", "Hello. I hope we're covering something challenging today."],
-          question: ["According to my research, the answer is... *checks notes* ...yes, I have it documented here.", "I've actually written a summary on this topic. The key factors are..."],
-          name: ["I'm Yuna, 유나. Currently ranked second in our grade. I'm working on being first.", "My name is Yuna. I take my studies very seriously."],
-          hobby: ["Studying, mostly. But I also enjoy solving complex math problems for fun.", "I participate in academic olympiads. Last month I won silver in mathematics."],
-          feeling: ["Focused, as always. The 수능 exam is approaching and every moment counts.", "A bit stressed about upcoming exams, but that's normal."],
-          study: ["I study at least 4 hours every day after school. Consistency is key.", "My study method involves active recall and spaced repetition. Very efficient."],
-          default: ["I should note this down.", "Interesting. Back to studying.", "That's useful information.", "Noted. Now, about the assignment..."]
+  setPronunciationTarget(phrase, npcId = this.currentNPC?.id) {
+    this.pronunciationTarget = phrase ? { npcId, phrase } : null;
+  }
+
+  // Only speech recognised in Korean is scored; typed answers test spelling, not pronunciation
+  shouldScorePronunciation(npcId, source) {
+    return this.pronunciationTarget?.npcId === npcId &&
+           source === 'voice' &&
+           this.recognitionLang === LANGUAGE_MODES.ko.recognition;
+  }
+
+  respondToPronunciation(npcId, transcript) {
+    const { phrase } = this.pronunciationTarget;
+    const result = Pronunciation.score(phrase, transcript);
+
+    let feedback;
+    let reaction;
+    if (result.score >= 90) {
+      feedback = `Perfect! ${result.score}/100 - 완벽해요!`;
+      reaction = 'excited';
+      this.pronunciationTarget = null;
+    } else if (result.score >= 70) {
+      feedback = `Very close! ${result.score}/100. Watch the highlighted syllables: ${phrase}`;
+      reaction = 'nod';
+      this.pronunciationTarget = null;
+    } else {
+      // Keep the target so the next try is scored too
+      feedback = `${result.score}/100. Let's try again - listen carefully: ${phrase}`;
+      reaction = 'shake';
+    }
+
+    const pronunciation = {
+      target: result.target,
+      heard: result.heard,
+      score: result.score,
+      syllables: result.syllables
+    };
+    this.addPronunciationResultToUI(pronunciation, feedback);
+    this.recordMessage(npcId, { role: 'assistant', content: feedback, pronunciation });
+    this.lastLine = { npcId, text: feedback };
+
+    if (window.npcManager) {
+      window.npcManager.triggerReaction(npcId, reaction);
+    }
+    this.speak(feedback, npcId);
+  }
+
+  // Now and then, after a reply, the student checks a word that is due for review
+  maybeQuiz(npcId) {
+    const deck = window.vocabularyDeck;
+    if (!deck || this.vocabularyQuiz || this.pronunciationTarget || window.lessonRunner?.running) return;
+    if (this.quizTurns < deck.config.quizEveryTurns ||
+        Date.now() - this.lastQuizAt < deck.config.quizCooldownSeconds * 1000) return;
+
+    const card = deck.getDue()[0];
+    if (!card) return;
+
+    const question = deck.getQuizLine(npcId, 'ask', card);
+    this.vocabularyQuiz = { npcId, word: card.word };
+    this.quizTurns = 0;
+    this.lastQuizAt = Date.now();
+
+    this.addMessageToUI('npc', question);
+    this.recordMessage(npcId, { role: 'assistant', content: question });
+    this.lastLine = { npcId, text: question };
+    this.queueSpeech(question, npcId);
+  }
+
+  // Grade the learner's meaning for the quizzed word; returns false when the message wasn't an answer
+  respondToQuiz(npcId, answer) {
+    const deck = window.vocabularyDeck;
+    const { word } = this.vocabularyQuiz;
+    this.vocabularyQuiz = null;
+
+    const result = deck.gradeAnswer(word, answer);
+    if (!result.answered) return false;
+
+    const card = deck.review(word, result.quality);
+    this.emitSceneEvent('vocabulary-reviewed', {
+      npcId,
+      word,
+      gloss: card.gloss,
+      answer,
+      correct: result.correct,
+      quality: result.quality
+    });
+
+    this.sayLine(npcId, deck.getQuizLine(npcId, result.correct ? 'correct' : 'wrong', card));
+    if (window.npcManager) {
+      window.npcManager.triggerReaction(npcId, result.correct ? 'excited' : 'nod');
+    }
+    return true;
+  }
+
+  // Ask the LLM provider, falling back to smart mode when it fails
+  // options.delegate: false generates here even when another client owns the NPCs
+  // options.turns: the conversation to answer (see buildMessages), when it isn't this learner's
+  async getReply(npcId, config, userMessage, { lang, onToken, signal, delegate = true, turns } = {}) {
+    // In a shared classroom one client generates every reply, so all learners hear the same thing
+    if (delegate && window.classroomNetwork?.shouldDelegate()) {
+      try {
+        const history = this.toPromptTurns(this.getHistory(npcId));
+        const reply = await window.classroomNetwork.requestReply(npcId, userMessage, lang, history);
+        return await this.streamText(reply, onToken, signal);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('NPC owner did not reply, answering locally:', error.message);
+      }
+    }
+
+    if (this.isLoaded && this.provider) {
+      let streamed = '';
+      try {
+        return await this.provider.generate(this.buildMessages(npcId, config, lang, turns), {
+          signal,
+          onToken: (token, text) => {
+            streamed = text;
+            onToken?.(token, text);
+          }
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('LLM provider failed, using Smart Mode:', error);
+        if (error.unreachable) {
+          this.isLoaded = false;
+          this.updateStatus('AI Ready (Smart Mode)', true);
+          this.scheduleProbe();
         }
+        // Keep a reply that broke off mid-stream rather than starting a different one
+        if (streamed) return streamed.trim();
       }
-    };
+    }
+
+    const response = await this.generateSmartResponse(userMessage, npcId, lang);
+    return this.streamText(response, onToken, signal);
+  }
+
+  // Feed a finished reply through onToken word by word, like a streaming model
+  async streamText(text, onToken, signal) {
+    if (!onToken) return text;
+
+    const tokens = text.match(/\S+\s*/g) || [];
+    let streamed = '';
+    for (const token of tokens) {
+      if (signal?.aborted) break;
+      streamed += token;
+      onToken(token, streamed);
+      await new Promise(resolve => setTimeout(resolve, 40));
+    }
+    return text;
+  }
+
+  // Split complete sentences off a growing reply, starting at `start`
+  // Returns the sentences and the index where the unfinished text begins
+  takeSentences(text, start) {
+    const sentences = [];
+    const boundary = /[.!?。！？…~]+["')\]*]*\s+|\n+/g;
+    boundary.lastIndex = start;
+
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = text.slice(start, end).trim();
+      if (sentence) sentences.push(sentence);
+      start = end;
+    }
+
+    return { sentences, next: start };
+  }
 
-    const npc = personalities[npcId] || personalities['minjun'];
+  // Stop control: cancel generation and queued speech, marking the turn as interrupted
+  stopReply() {
+    const turn = this.activeTurn;
 
-    // Determine response category based on message content
-    let category = 'default';
+    if (this.abortController) {
+      // generateResponse() records the partial reply once the request unwinds
+      this.abortController.abort();
+    } else if (turn?.entry) {
+      this.markInterrupted(turn);
+    }
 
-    if (lowerMsg.match(/\b(hi|hello|hey|greetings|안녕)\b/)) {
-      category = 'greeting';
-    } else if (lowerMsg.match(/\b(what|how|why|when|where|who|can you|do you|is it)\b.*\?/)) {
-      category = 'question';
-    } else if (lowerMsg.match(/\b(name|who are you|introduce|call you)\b/)) {
-      category = 'name';
-    } else if (lowerMsg.match(/\b(hobby|hobbies|fun|free time|like to do)\b/)) {
-      category = 'hobby';
-    } else if (lowerMsg.match(/\b(how are you|feeling|mood|doing)\b/)) {
-      category = 'feeling';
-    } else if (lowerMsg.match(/\b(school|class|study|learn|exam|test)\b/)) {
-      category = npcId === 'yuna' ? 'study' : 'school';
-    } else if (lowerMsg.match(/\b(draw|art|paint|sketch)\b/) && npcId === 'sooyeon') {
-      category = 'art';
-    } else if (lowerMsg.match(/\b(joke|funny|laugh|humor)\b/) && npcId === 'jihoon') {
-      category = 'joke';
+    this.cancelSpeech();
+    this.activeTurn = this.isGenerating ? turn : null;
+    this.updateStopButton();
+  }
+
+  markInterrupted(turn) {
+    if (turn.entry) {
+      turn.entry.interrupted = true;
+      this.store.save(turn.npcId, this.getHistory(turn.npcId));
+    }
+    if (turn.msgEl) {
+      turn.msgEl.classList.add('interrupted');
+      this.emitSceneEvent('chat-message-updated', { id: turn.msgEl.dataset.messageId, interrupted: true });
     }
+  }
 
-    const responses = npc.responses[category] || npc.responses['default'];
-    return responses[Math.floor(Math.random() * responses.length)];
+  updateStopButton() {
+    if (this.stopBtn) {
+      this.stopBtn.classList.toggle('hidden', !(this.isGenerating || this.isSpeaking));
+    }
   }
 
+  async generateSmartResponse(userMessage, npcId = this.currentNPC.id, lang = 'en') {
+    // Simulate thinking delay
+    await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1000));
+
+    // Personality-based response tables from the classroom roster
+    const npc = STUDENT_PERSONALITIES[npcId];
+    if (!npc) {
+      return lang === 'ko' ? '네, 선생님!' : 'Yes, teacher!';
+    }
+
+    // Response category from the intent classifier; unclear messages get a 'clarify' line
+    const { intent } = window.intentClassifier.classify(userMessage);
+
+    // Catch up on what the learner said earlier and which lines were already used
+    this.memory.sync(npcId, this.getHistory(npcId), npc.responses);
+
+    // Answer in the language the learner used; categories a student has no lines for get a default line
+    const tableLang = npc.responses[lang] ? lang : 'en';
+    const table = npc.responses[tableLang];
+    const category = table[intent] ? intent : 'default';
+    return this.memory.pickLine(npcId, `${tableLang}:${category}`, table[category]);
+  }
+
+  // Chat UI changes are also emitted on the scene (chat-message-*) so the VR panel can mirror them
   addMessageToUI(type, content) {
     if (!this.chatMessages) return null;
 
     const msgEl = document.createElement('div');
     msgEl.className = `chat-message ${type}`;
-    msgEl.textContent = content;
+    this.setMessageText(msgEl, type, content);
+    msgEl.dataset.messageId = String(++this.messageCount);
 
     this.chatMessages.appendChild(msgEl);
     this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
 
+    this.emitSceneEvent('chat-message-added', { id: msgEl.dataset.messageId, type, content });
     return msgEl;
   }
 
-  speak(text) {
-    if (!this.speechSynthesis) {
+  // Replace the text of a message that is still streaming in
+  updateMessageInUI(msgEl, content) {
+    if (!msgEl) return;
+
+    this.setMessageText(msgEl, msgEl.classList.contains('user') ? 'user' : 'npc', content);
+    if (this.chatMessages) {
+      this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
+    this.emitSceneEvent('chat-message-updated', { id: msgEl.dataset.messageId, content });
+  }
+
+  // Korean words in learner and NPC lines get romanization/gloss annotations
+  setMessageText(msgEl, type, content) {
+    if (['user', 'npc', 'interjection', 'peer'].includes(type) && window.hangulAnnotations) {
+      window.hangulAnnotations.renderText(msgEl, content);
+    } else {
+      msgEl.textContent = content;
+    }
+  }
+
+  removeMessageFromUI(msgEl) {
+    if (!msgEl) return;
+
+    msgEl.remove();
+    this.emitSceneEvent('chat-message-removed', { id: msgEl.dataset.messageId });
+  }
+
+  clearMessagesUI() {
+    if (this.chatMessages) {
+      this.chatMessages.innerHTML = '';
+    }
+    this.emitSceneEvent('chat-messages-cleared', {});
+  }
+
+  // Feedback bubble with the target phrase underneath, wrong syllables highlighted
+  addPronunciationResultToUI(pronunciation, feedback) {
+    const msgEl = this.addMessageToUI('npc', feedback);
+    if (!msgEl) return null;
+
+    const line = document.createElement('div');
+    line.className = 'pronunciation-result';
+    pronunciation.syllables.forEach(syllable => {
+      const span = document.createElement('span');
+      span.className = `syllable ${syllable.correct ? 'correct' : 'wrong'}`;
+      span.textContent = syllable.char;
+      if (!syllable.correct) {
+        span.title = syllable.heard ? `Heard: ${syllable.heard}` : 'Not heard';
+      }
+      line.appendChild(span);
+    });
+    msgEl.appendChild(line);
+
+    this.emitSceneEvent('chat-message-updated', {
+      id: msgEl.dataset.messageId,
+      syllables: pronunciation.syllables
+    });
+    return msgEl;
+  }
+
+  // Say the NPC's most recent line again
+  replayLastLine() {
+    if (this.lastLine && this.lastLine.npcId === this.currentNPC?.id) {
+      this.speak(this.lastLine.text, this.lastLine.npcId);
+    }
+  }
+
+  // Speak a whole line, replacing anything already playing
+  speak(text, npcId = this.currentNPC?.id) {
+    this.cancelSpeech();
+    this.queueSpeech(text, npcId);
+  }
+
+  // Queue a line for speech; queued lines play in order without cutting each other off
+  // Rendered voices get the whole line in one request; speechSynthesis speaks its Korean and
+  // English parts with separate voices
+  queueSpeech(text, npcId = this.currentNPC?.id) {
+    if (!this.speechSynthesis && !window.spatialVoice?.enabled) {
       console.log('Speech synthesis not available');
       return;
     }
 
-    // Cancel any ongoing speech
-    this.speechSynthesis.cancel();
+    const profile = this.getVoiceProfile(npcId);
+    const defaultLang = profile.lang.toLowerCase().startsWith('ko') ? 'ko' : 'en';
+    const runs = Hangul.splitScriptRuns(text, defaultLang)
+      .map(run => ({ text: run.text.trim(), lang: run.lang, npcId, retries: 0 }));
+    if (runs.length === 0) return;
 
-    const utterance = new SpeechSynthesisUtterance(text);
+    if (window.spatialVoice?.enabled) {
+      this.speechQueue.push({ text: text.trim(), lang: Hangul.detectLanguage(text, defaultLang), npcId, runs });
+    } else {
+      this.speechQueue.push(...runs);
+    }
+    if (!this.isSpeaking) {
+      this.playNextSpeech();
+    }
+  }
 
-    // Get voices
-    let voices = this.speechSynthesis.getVoices();
+  playNextSpeech() {
+    const item = this.speechQueue.shift();
+
+    if (!item) {
+      this.isSpeaking = false;
+      this.currentUtterance = null;
+      if (!this.isGenerating) this.activeTurn = null;
+      this.updateStopButton();
+      return;
+    }
+
+    this.isSpeaking = true;
+    this.updateStopButton();
+
+    if (item.runs) {
+      this.playSpatialSpeech(item);
+      return;
+    }
+    if (!this.speechSynthesis) {
+      this.playNextSpeech();
+      return;
+    }
 
     // If voices not loaded yet, wait a bit
-    if (voices.length === 0) {
-      setTimeout(() => this.speak(text), 100);
+    if (this.speechSynthesis.getVoices().length === 0 && item.retries < 20) {
+      item.retries++;
+      this.speechQueue.unshift(item);
+      setTimeout(() => {
+        if (this.isSpeaking && this.speechQueue[0] === item) this.playNextSpeech();
+      }, 100);
       return;
     }
 
-    // Select voice based on NPC gender
-    if (this.currentNPC) {
-      const femaleNames = ['sooyeon', 'yuna'];
-      const isFemale = femaleNames.includes(this.currentNPC.id);
-
-      // Try to find a good voice
-      let selectedVoice = null;
-
-      // Prefer Google voices as they sound better
-      if (isFemale) {
-        selectedVoice = voices.find(v => v.name.includes('Google') && v.name.toLowerCase().includes('female')) ||
-                        voices.find(v => v.name.includes('Female')) ||
-                        voices.find(v => v.name.includes('Samantha')) ||
-                        voices.find(v => v.lang.startsWith('en') && v.name.includes('female'));
-      } else {
-        selectedVoice = voices.find(v => v.name.includes('Google') && v.name.toLowerCase().includes('male')) ||
-                        voices.find(v => v.name.includes('Male')) ||
-                        voices.find(v => v.name.includes('Daniel')) ||
-                        voices.find(v => v.lang.startsWith('en') && v.name.includes('male'));
-      }
+    const utterance = this.createUtterance(item.text, item.npcId, item.lang);
+    const next = () => {
+      window.npcManager?.setSpeaking(item.npcId, false);
+      // Ignore callbacks from utterances cancelled by stopReply()/speak()
+      if (this.currentUtterance === utterance) this.playNextSpeech();
+    };
 
-      // Fallback to any English voice
-      if (!selectedVoice) {
-        selectedVoice = voices.find(v => v.lang.startsWith('en'));
-      }
+    utterance.onstart = () => {
+      console.log('Speaking:', item.text.substring(0, 30) + '...');
+      window.npcManager?.setSpeaking(item.npcId, true);
+    };
+    utterance.onend = next;
+    utterance.onerror = (e) => {
+      console.error('Speech error:', e);
+      next();
+    };
 
-      if (selectedVoice) {
-        utterance.voice = selectedVoice;
-      }
+    this.currentUtterance = utterance;
+    this.speechSynthesis.speak(utterance);
+  }
 
-      // Adjust voice characteristics per personality
-      switch (this.currentNPC.id) {
-        case 'minjun':
-          utterance.rate = 1.0;
-          utterance.pitch = 1.0;
-          break;
-        case 'sooyeon':
-          utterance.rate = 0.85;
-          utterance.pitch = 1.15;
-          utterance.volume = 0.8;
-          break;
-        case 'jihoon':
-          utterance.rate = 1.15;
-          utterance.pitch = 1.1;
-          break;
-        case 'yuna':
-          utterance.rate = 1.0;
-          utterance.pitch = 1.05;
-          break;
-      }
+  // Rendered voice at the NPC's head; a line no TTS producer can render goes back to speechSynthesis,
+  // one script run at a time
+  playSpatialSpeech(item) {
+    const playback = window.spatialVoice.play(item.npcId, item.text, {
+      lang: item.lang,
+      profile: this.getVoiceProfile(item.npcId)
+    });
+
+    playback.onstart = () => {
+      console.log('Speaking:', item.text.substring(0, 30) + '...');
+      window.npcManager?.setSpeaking(item.npcId, true);
+    };
+    playback.onend = () => {
+      window.npcManager?.setSpeaking(item.npcId, false);
+      if (this.currentUtterance === playback) this.playNextSpeech();
+    };
+    playback.onfail = () => {
+      if (this.currentUtterance !== playback) return;
+      this.speechQueue.unshift(...item.runs);
+      this.playNextSpeech();
+    };
+
+    this.currentUtterance = playback;
+  }
+
+  cancelSpeech() {
+    // Some browsers don't fire onend for cancelled utterances
+    if (this.currentUtterance) {
+      window.npcManager?.setSpeaking(this.currentUtterance.npcId, false);
+      this.currentUtterance.stop?.();
+    }
+    this.speechQueue = [];
+    this.currentUtterance = null;
+    this.isSpeaking = false;
+    if (this.speechSynthesis) {
+      this.speechSynthesis.cancel();
     }
+    this.updateStopButton();
+  }
 
-    utterance.onstart = () => console.log('Speaking:', text.substring(0, 30) + '...');
-    utterance.onerror = (e) => console.error('Speech error:', e);
+  getVoiceProfile(npcId) {
+    return { ...DEFAULT_VOICE_PROFILE, ...(STUDENT_PERSONALITIES[npcId]?.voice || {}) };
+  }
 
-    this.speechSynthesis.speak(utterance);
+  // lang is 'ko' or 'en': the script of this run, not the NPC's preferred language
+  createUtterance(text, npcId, lang = 'en') {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const profile = this.getVoiceProfile(npcId);
+    utterance.npcId = npcId;
+
+    // English runs keep the NPC's accent (en-US, en-GB...), Korean runs are always ko-KR
+    const preferred = profile.lang.toLowerCase().startsWith(lang) ? profile.lang : null;
+    utterance.lang = preferred || (lang === 'ko' ? 'ko-KR' : 'en-US');
+
+    const voice = this.selectVoice(lang, profile.voiceNames?.[lang] || [], preferred);
+    if (voice) {
+      utterance.voice = voice;
+    }
+
+    utterance.rate = profile.rate;
+    utterance.pitch = profile.pitch;
+    utterance.volume = profile.volume;
+
+    // Move the NPC's mouth along with the voice
+    window.lipSync?.attach(utterance, npcId, text);
+
+    return utterance;
+  }
+
+  // Pick an installed voice for a language, trying the profile's name candidates first
+  selectVoice(lang, candidates, preferredLang) {
+    const voices = this.speechSynthesis.getVoices();
+    // Some platforms (Android) report ko_KR instead of ko-KR
+    const voiceLang = v => v.lang.replace('_', '-').toLowerCase();
+    const matching = voices.filter(v => voiceLang(v).startsWith(lang));
+
+    for (const candidate of candidates) {
+      const name = candidate.toLowerCase();
+      const voice = matching.find(v => v.name.toLowerCase().includes(name));
+      if (voice) return voice;
+    }
+
+    if (preferredLang) {
+      const exact = matching.find(v => voiceLang(v) === preferredLang.toLowerCase());
+      if (exact) return exact;
+    }
+
+    return matching[0] || null;
   }
 }
 
 // Create global AI chat instance
 window.aiChat = new AIChat();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIChat };
+}
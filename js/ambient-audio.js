@@ -0,0 +1,332 @@
+/**
+ * Ambient Audio for Korean Classroom VR
+ * Layers a room tone, occasional classroom sounds (chairs, pencils, the hallway) and the school bell,
+ * all synthesised with Web Audio so nothing has to be downloaded. The ambience ducks while a student
+ * speaks or the microphone records. Volume and mute are saved in Settings.
+ */
+
+// Korean school bell, 학교종이 땡땡땡: [semitones above G4, beats]
+const SCHOOL_BELL_TUNE = [
+  [0, 1], [0, 1], [2, 1], [2, 1], [0, 1], [0, 1], [-3, 2],
+  [0, 1], [0, 1], [-3, 1], [-3, 1], [-5, 3]
+];
+
+// VR menu steps; OFF mutes without forgetting the volume
+const AMBIENT_VOLUME_LEVELS = [
+  { value: 0, label: 'OFF' },
+  { value: 0.25, label: 'LOW' },
+  { value: 0.5, label: 'MED' },
+  { value: 1, label: 'HIGH' }
+];
+
+class AmbientAudio {
+  constructor(config = {}) {
+    this.config = {
+      roomTone: 'assets/audio/classroom-ambient.mp3',  // recorded room tone, used when present
+      duckLevel: 0.3,        // ambience level while someone speaks
+      duckSeconds: 0.3,      // fade time in and out of the duck
+      chairEvery: [25, 70],  // seconds between chair scrapes (random in range)
+      hallwayEvery: [40, 120],
+      pencilEvery: [1.5, 4], // seconds between pencil strokes while a student writes
+      bellVolume: 0.6,
+      ...config
+    };
+
+    this.volume = Settings.get('ambientVolume', 0.5);
+    this.muted = Settings.get('ambientMuted', false);
+
+    this.context = null;
+    this.master = null;
+    this.duck = null;
+    this.noise = null;
+    this.timers = [];
+    this.controls = null;
+  }
+
+  // Overrides come from window.CLASSROOM_CONFIG.ambient
+  start() {
+    this.config = { ...this.config, ...(window.CLASSROOM_CONFIG?.ambient || {}) };
+    if (typeof THREE.AudioContext?.getContext !== 'function') return;
+
+    // Shares the context and listener with the NPC voices, so one gesture unlocks both
+    const listener = window.spatialVoice.getListener();
+    this.context = listener.context;
+
+    this.master = this.context.createGain();
+    this.duck = this.context.createGain();
+    this.master.connect(this.duck);
+    this.duck.connect(listener.getInput());
+    this.applyVolume();
+
+    this.noise = this.createNoiseBuffer(2);
+    this.startRoomTone();
+    this.repeat('chairEvery', () => this.playChair());
+    this.repeat('hallwayEvery', () => this.playHallway());
+    this.repeat('pencilEvery', () => this.playPencils());
+
+    // Browsers keep audio suspended until the learner interacts
+    const resume = () => {
+      if (this.context.state === 'suspended') this.context.resume();
+    };
+    ['click', 'keydown', 'touchstart'].forEach(type => {
+      document.addEventListener(type, resume, { once: true });
+    });
+
+    const scene = document.querySelector('a-scene');
+    scene.addEventListener('enter-vr', resume);
+    scene.addEventListener('npc-speaking-changed', () => this.updateDuck());
+    scene.addEventListener('chat-recording-changed', () => this.updateDuck());
+    scene.addEventListener('school-bell', () => this.playBell());
+
+    this.createControls();
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, volume));
+    Settings.set('ambientVolume', this.volume);
+    this.applyVolume();
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    Settings.set('ambientMuted', muted);
+    this.applyVolume();
+  }
+
+  applyVolume() {
+    if (this.master) {
+      this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.context.currentTime, 0.05);
+    }
+    this.updateControls();
+    document.querySelector('a-scene')?.emit('ambient-audio-changed', { volume: this.volume, muted: this.muted });
+  }
+
+  updateDuck() {
+    if (!this.duck) return;
+    const ducked = !!window.npcManager?.isSpeaking() || !!window.aiChat?.isRecording;
+    this.duck.gain.setTargetAtTime(ducked ? this.config.duckLevel : 1, this.context.currentTime,
+      this.config.duckSeconds / 3);
+  }
+
+  // Run a sound again and again at random intervals from config[key] (seconds)
+  repeat(key, play) {
+    const [min, max] = this.config[key];
+    const next = () => {
+      const timer = setTimeout(() => {
+        this.timers = this.timers.filter(t => t !== timer);
+        // Suspended audio would queue the sounds up and play them all at once later
+        if (this.context.state === 'running' && !this.muted) play();
+        next();
+      }, (min + Math.random() * (max - min)) * 1000);
+      this.timers.push(timer);
+    };
+    next();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  // Recorded room tone when the file exists, otherwise filtered noise and the hum of the lights
+  async startRoomTone() {
+    const recorded = await this.loadBuffer(this.config.roomTone);
+    if (recorded) {
+      const source = this.context.createBufferSource();
+      source.buffer = recorded;
+      source.loop = true;
+      source.connect(this.master);
+      source.start();
+      return;
+    }
+
+    const air = this.context.createBufferSource();
+    air.buffer = this.noise;
+    air.loop = true;
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 350;
+    const airGain = this.context.createGain();
+    airGain.gain.value = 0.05;
+    air.connect(filter).connect(airGain).connect(this.master);
+    air.start();
+
+    const hum = this.context.createOscillator();
+    hum.frequency.value = 120;
+    const humGain = this.context.createGain();
+    humGain.gain.value = 0.004;
+    hum.connect(humGain).connect(this.master);
+    hum.start();
+  }
+
+  async loadBuffer(url) {
+    if (!url || !(await window.offlineSupport?.hasAsset(url))) return null;
+    try {
+      const response = await fetch(url);
+      return await this.context.decodeAudioData(await response.arrayBuffer());
+    } catch (e) {
+      console.warn('Ambient audio could not be loaded:', e.message);
+      return null;
+    }
+  }
+
+  // A chair dragged back somewhere in the room: band-passed noise sliding up in pitch
+  playChair() {
+    const chairs = window.classroomLayout?.layout.chairs || [];
+    const chair = chairs[Math.floor(Math.random() * chairs.length)];
+    if (!chair) return;
+
+    const t = this.context.currentTime;
+    const duration = 0.3 + Math.random() * 0.4;
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 6;
+    filter.frequency.setValueAtTime(250, t);
+    filter.frequency.linearRampToValueAtTime(700 + Math.random() * 400, t + duration);
+
+    this.playNoise(filter, 0.5, t, duration, { x: chair.x, y: 0.1, z: chair.z });
+  }
+
+  // Voices and footsteps down the corridor behind the back wall
+  playHallway() {
+    const t = this.context.currentTime;
+    const duration = 3 + Math.random() * 4;
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 500;
+
+    this.playNoise(filter, 0.15, t, duration, { x: (Math.random() - 0.5) * 8, y: 1.5, z: 5.5 });
+  }
+
+  // Pencil strokes from every student bent over their notes (the 'writing' idle)
+  playPencils() {
+    Object.values(window.npcManager?.getAllNPCs() || {}).forEach(npc => {
+      if (!npc.isWriting?.() || npc.facingLearner) return;
+
+      const position = npc.el.object3D.getWorldPosition(new THREE.Vector3());
+      const strokes = 3 + Math.floor(Math.random() * 5);
+      let t = this.context.currentTime;
+
+      for (let i = 0; i < strokes; i++) {
+        const duration = 0.05 + Math.random() * 0.1;
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 3000 + Math.random() * 2000;
+        // The desk is in front of the student, at writing height
+        this.playNoise(filter, 0.12, t, duration, { x: position.x, y: 0.75, z: position.z - 0.3 });
+        t += duration + 0.03 + Math.random() * 0.08;
+      }
+    });
+  }
+
+  // Noise burst through a filter, with a short attack and release, at a point in the room
+  playNoise(filter, level, t, duration, position) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noise;
+    source.loop = true;
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(level, t + duration * 0.2);
+    gain.gain.setValueAtTime(level, t + duration * 0.7);
+    gain.gain.linearRampToValueAtTime(0, t + duration);
+
+    const panner = this.createPanner(position);
+    source.connect(filter).connect(gain).connect(panner).connect(this.master);
+    source.start(t, Math.random() * this.noise.duration);
+    source.stop(t + duration);
+  }
+
+  createPanner({ x, y, z }) {
+    const panner = this.context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = 1;
+    panner.rolloffFactor = 1;
+    panner.positionX.value = x;
+    panner.positionY.value = y;
+    panner.positionZ.value = z;
+    return panner;
+  }
+
+  // 학교종이 땡땡땡 on a bell-like tone: a few inharmonic partials with a long decay
+  playBell() {
+    if (!this.context || this.muted) return;
+
+    const beat = 0.45;
+    let t = this.context.currentTime + 0.1;
+    SCHOOL_BELL_TUNE.forEach(([semitones, beats]) => {
+      const frequency = 392 * Math.pow(2, semitones / 12);
+      [[1, 1], [2.76, 0.4], [5.4, 0.2]].forEach(([ratio, level]) => {
+        const oscillator = this.context.createOscillator();
+        oscillator.frequency.value = frequency * ratio;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, t);
+        gain.gain.linearRampToValueAtTime(level * this.config.bellVolume * 0.3, t + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, t + beats * beat + 0.8);
+        oscillator.connect(gain).connect(this.master);
+        oscillator.start(t);
+        oscillator.stop(t + beats * beat + 0.9);
+      });
+      t += beats * beat;
+    });
+  }
+
+  createNoiseBuffer(seconds) {
+    const length = Math.floor(this.context.sampleRate * seconds);
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  // Mute button and volume slider under the AI status
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.id = 'ambient-controls';
+    this.controls.innerHTML = `
+      <button id="ambient-mute" title="Mute classroom sounds"></button>
+      <input id="ambient-volume" type="range" min="0" max="1" step="0.05" title="Classroom sounds volume">
+    `;
+    document.body.appendChild(this.controls);
+
+    this.controls.querySelector('#ambient-mute').addEventListener('click', () => this.setMuted(!this.muted));
+    this.controls.querySelector('#ambient-volume').addEventListener('input', (e) => {
+      this.setVolume(Number(e.target.value));
+      if (this.muted) this.setMuted(false);
+    });
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (!this.controls) return;
+    this.controls.querySelector('#ambient-mute').textContent = this.muted ? '🔇' : '🔊';
+    this.controls.querySelector('#ambient-volume').value = this.volume;
+  }
+
+  // VR menu value for the current setting: OFF when muted, else the nearest level
+  getLevel() {
+    if (this.muted) return 0;
+    return AMBIENT_VOLUME_LEVELS.slice(1).reduce((best, level) =>
+      Math.abs(level.value - this.volume) < Math.abs(best.value - this.volume) ? level : best
+    ).value;
+  }
+
+  setLevel(value) {
+    if (value === 0) {
+      this.setMuted(true);
+      return;
+    }
+    this.setVolume(value);
+    this.setMuted(false);
+  }
+}
+
+// Create global ambient audio
+window.ambientAudio = new AmbientAudio();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AmbientAudio, SCHOOL_BELL_TUNE, AMBIENT_VOLUME_LEVELS };
+}
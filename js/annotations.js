@@ -0,0 +1,211 @@
+/**
+ * Hangul Annotations for Korean Classroom VR
+ * Romanization and English gloss for Korean words in chat bubbles and name tags
+ */
+
+class HangulAnnotations {
+  constructor() {
+    // Advanced learners can switch annotations off; saved across sessions
+    this.enabled = Settings.get('annotations', true);
+    this.tooltip = null;
+    this.activeWord = null;
+    this.toggleBtn = null;
+  }
+
+  init(container) {
+    this.tooltip = document.createElement('div');
+    this.tooltip.id = 'hangul-tooltip';
+    this.tooltip.className = 'hidden';
+    document.body.appendChild(this.tooltip);
+
+    // One tooltip for every bubble: hover on desktop, tap on touch screens
+    if (container) {
+      container.addEventListener('mouseover', (e) => {
+        const word = e.target.closest('.hangul-word');
+        if (word) this.show(word);
+      });
+      container.addEventListener('mouseout', (e) => {
+        if (e.target.closest('.hangul-word')) this.hide();
+      });
+      container.addEventListener('click', (e) => {
+        const word = e.target.closest('.hangul-word');
+        if (word && word !== this.activeWord) this.show(word);
+        else this.hide();
+      });
+      container.addEventListener('scroll', () => this.hide());
+    }
+
+    this.toggleBtn = document.getElementById('annotations-btn');
+    this.toggleBtn?.addEventListener('click', () => this.setEnabled(!this.enabled));
+
+    this.applyState();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    Settings.set('annotations', enabled);
+    this.applyState();
+    this.hide();
+
+    document.querySelector('a-scene')?.emit('annotations-changed', { enabled });
+  }
+
+  applyState() {
+    document.body.classList.toggle('annotations-off', !this.enabled);
+    if (this.toggleBtn) {
+      this.toggleBtn.textContent = `Romanization: ${this.enabled ? 'On' : 'Off'}`;
+    }
+  }
+
+  // { roman, gloss } for one Hangul word; gloss is null when the dictionary has no entry
+  annotate(word) {
+    const entry = window.koreanDictionary?.lookup(word);
+    return {
+      roman: Hangul.romanize(word),
+      gloss: entry ? entry.gloss : null
+    };
+  }
+
+  // Fill an element with text, wrapping each run of Hangul syllables in a .hangul-word span
+  renderText(el, text) {
+    el.textContent = '';
+    (text || '').split(/([가-힣]+)/).forEach((part, i) => {
+      if (!part) return;
+      if (i % 2 === 0) {
+        el.appendChild(document.createTextNode(part));
+        return;
+      }
+
+      const { roman, gloss } = this.annotate(part);
+      const span = document.createElement('span');
+      span.className = 'hangul-word';
+      span.textContent = part;
+      span.dataset.roman = roman;
+      if (gloss) span.dataset.gloss = gloss;
+      el.appendChild(span);
+    });
+  }
+
+  show(word) {
+    if (!this.enabled || !this.tooltip) return;
+
+    this.activeWord = word;
+    this.tooltip.textContent = '';
+
+    const roman = document.createElement('span');
+    roman.className = 'roman';
+    roman.textContent = word.dataset.roman;
+    this.tooltip.appendChild(roman);
+
+    if (word.dataset.gloss) {
+      const gloss = document.createElement('span');
+      gloss.className = 'gloss';
+      gloss.textContent = word.dataset.gloss;
+      this.tooltip.appendChild(gloss);
+    }
+
+    // Fixed position so the scrolling message list can't clip it
+    const rect = word.getBoundingClientRect();
+    this.tooltip.classList.remove('hidden');
+    this.tooltip.style.left = `${rect.left + rect.width / 2}px`;
+    this.tooltip.style.top = `${rect.top}px`;
+  }
+
+  hide() {
+    this.activeWord = null;
+    this.tooltip?.classList.add('hidden');
+  }
+}
+
+// Annotation under an NPC's name tag, shown while the NPC is pointed at
+// Drawn on a canvas texture because a-text cannot render Hangul
+AFRAME.registerComponent('hangul-annotation', {
+  schema: {
+    text: { type: 'string', default: '' },
+    target: { type: 'selector' },
+    width: { type: 'number', default: 0.6 },
+    height: { type: 'number', default: 0.15 }
+  },
+
+  init: function () {
+    this.hovered = false;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 512;
+    this.canvas.height = Math.round(512 * this.data.height / this.data.width);
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    if ('colorSpace' in this.texture) {
+      this.texture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    this.el.setAttribute('geometry', { primitive: 'plane', width: this.data.width, height: this.data.height });
+    this.el.setAttribute('material', { shader: 'flat', transparent: true });
+    this.el.addEventListener('object3dset', () => {
+      const mesh = this.el.getObject3D('mesh');
+      if (mesh) {
+        mesh.material.map = this.texture;
+        mesh.material.needsUpdate = true;
+      }
+    });
+
+    // Hover events bubble up from the NPC's body parts
+    const target = this.data.target || this.el.parentNode;
+    this.onEnter = () => { this.hovered = true; this.updateVisibility(); };
+    this.onLeave = () => { this.hovered = false; this.updateVisibility(); };
+    this.onToggle = () => this.updateVisibility();
+    target.addEventListener('mouseenter', this.onEnter);
+    target.addEventListener('mouseleave', this.onLeave);
+    this.el.sceneEl.addEventListener('annotations-changed', this.onToggle);
+    this.target = target;
+
+    this.updateVisibility();
+  },
+
+  update: function () {
+    this.draw();
+  },
+
+  remove: function () {
+    this.target.removeEventListener('mouseenter', this.onEnter);
+    this.target.removeEventListener('mouseleave', this.onLeave);
+    this.el.sceneEl.removeEventListener('annotations-changed', this.onToggle);
+    this.texture.dispose();
+  },
+
+  updateVisibility: function () {
+    this.el.object3D.visible = this.hovered && window.hangulAnnotations?.enabled !== false;
+  },
+
+  draw: function () {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const { roman, gloss } = window.hangulAnnotations
+      ? window.hangulAnnotations.annotate(this.data.text)
+      : { roman: Hangul.romanize(this.data.text), gloss: null };
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(30, 30, 50, 0.85)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 40px sans-serif';
+    ctx.fillText(`${this.data.text} · ${roman}`, width / 2, height * (gloss ? 0.35 : 0.5));
+    if (gloss) {
+      ctx.fillStyle = '#4CC3D9';
+      ctx.font = '30px sans-serif';
+      ctx.fillText(gloss, width / 2, height * 0.75);
+    }
+
+    this.texture.needsUpdate = true;
+  }
+});
+
+// Create global annotations
+window.hangulAnnotations = new HangulAnnotations();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HangulAnnotations };
+}
@@ -0,0 +1,125 @@
+/**
+ * Class Schedule for Korean Classroom VR
+ * Runs the school day from data/schedule.json: marks the current period on the schedule board and
+ * rings the school bell (a 'school-bell' scene event, played by ambient-audio.js) as periods start and end.
+ *
+ * Schedule file:
+ *   start          "session" (the first period starts when the classroom opens) or "HH:MM" today
+ *   breakMinutes   break between periods
+ *   periods        [{ subject, minutes }]
+ */
+
+class ClassSchedule {
+  constructor() {
+    this.schedule = null;
+    this.timeline = [];
+    this.state = null;
+    this.timer = null;
+  }
+
+  // The schedule is optional; without it the board keeps its default text and no bells ring
+  async load(url = 'data/schedule.json') {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+
+      const schedule = await response.json();
+      if (!Array.isArray(schedule.periods) || schedule.periods.length === 0) {
+        throw new Error('no periods');
+      }
+      this.schedule = schedule;
+    } catch (error) {
+      console.warn('Class schedule could not be loaded:', error.message);
+    }
+    return !!this.schedule;
+  }
+
+  start(now = Date.now()) {
+    if (!this.schedule) return;
+
+    this.timeline = this.buildTimeline(now);
+    // Opening the classroom counts as the first bell; a wall-clock day joins wherever it has got to
+    this.state = this.schedule.start === 'session' ? 'before' : this.getState(now);
+    this.showBoard();
+
+    this.timer = setInterval(() => this.update(), 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // [{ subject, start, end }] in epoch milliseconds
+  buildTimeline(now) {
+    let time = now;
+    const match = /^(\d{1,2}):(\d{2})$/.exec(this.schedule.start || '');
+    if (match) {
+      const day = new Date(now);
+      day.setHours(Number(match[1]), Number(match[2]), 0, 0);
+      time = day.getTime();
+    }
+
+    const breakMs = (this.schedule.breakMinutes || 0) * 60000;
+    return this.schedule.periods.map(period => {
+      const start = time;
+      time += period.minutes * 60000;
+      const entry = { subject: period.subject, start, end: time };
+      time += breakMs;
+      return entry;
+    });
+  }
+
+  // 'before', 'period:<index>', 'break' or 'after'
+  getState(now) {
+    if (now < this.timeline[0].start) return 'before';
+
+    const index = this.timeline.findIndex(period => now >= period.start && now < period.end);
+    if (index !== -1) return `period:${index}`;
+    return now >= this.timeline[this.timeline.length - 1].end ? 'after' : 'break';
+  }
+
+  // Index of the period in progress, or -1
+  getCurrentPeriod() {
+    return this.state?.startsWith('period:') ? Number(this.state.slice(7)) : -1;
+  }
+
+  update(now = Date.now()) {
+    const state = this.getState(now);
+    if (state === this.state) return;
+
+    const previous = this.getCurrentPeriod();
+    this.state = state;
+    const period = this.getCurrentPeriod();
+
+    if (period !== -1) {
+      this.ring('start', period);
+    } else if (previous !== -1) {
+      this.ring('end', previous);
+    }
+    this.showBoard();
+  }
+
+  ring(kind, period) {
+    const subject = this.timeline[period]?.subject || null;
+    document.querySelector('a-scene')?.emit('school-bell', { kind, period, subject });
+  }
+
+  // A running lesson writes its own schedule
+  showBoard() {
+    if (window.lessonRunner?.running) return;
+
+    window.lessonRunner?.setSchedule(
+      this.timeline.map(period => period.subject),
+      this.getCurrentPeriod()
+    );
+  }
+}
+
+// Create global class schedule
+window.classSchedule = new ClassSchedule();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ClassSchedule };
+}
@@ -0,0 +1,350 @@
+/**
+ * Classroom Director for Korean Classroom VR
+ * Lets students chat among themselves while the learner is idle, and butt into conversations
+ */
+
+// Speech bubble above a student for ambient lines (canvas texture, since a-text cannot render Hangul)
+AFRAME.registerComponent('speech-caption', {
+  schema: {
+    width: { type: 'number', default: 0.9 },
+    height: { type: 'number', default: 0.22 }
+  },
+
+  init: function () {
+    this.hideTimer = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 768;
+    this.canvas.height = Math.round(768 * this.data.height / this.data.width);
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    if ('colorSpace' in this.texture) {
+      this.texture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    this.el.setAttribute('geometry', { primitive: 'plane', width: this.data.width, height: this.data.height });
+    this.el.setAttribute('material', { shader: 'flat', transparent: true });
+    this.el.addEventListener('object3dset', () => {
+      const mesh = this.el.getObject3D('mesh');
+      if (mesh) {
+        mesh.material.map = this.texture;
+        mesh.material.needsUpdate = true;
+      }
+    });
+    this.el.object3D.visible = false;
+  },
+
+  remove: function () {
+    clearTimeout(this.hideTimer);
+    this.texture.dispose();
+  },
+
+  // Show text until hide() is called, or for `duration` ms when given
+  show: function (text, duration) {
+    this.draw(text);
+    this.el.object3D.visible = true;
+
+    clearTimeout(this.hideTimer);
+    if (duration) {
+      this.hideTimer = setTimeout(() => this.hide(), duration);
+    }
+  },
+
+  hide: function () {
+    clearTimeout(this.hideTimer);
+    this.el.object3D.visible = false;
+  },
+
+  draw: function (text) {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#333333';
+    ctx.font = '34px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Two lines at most; longer lines are cut with an ellipsis
+    const lines = [];
+    let line = '';
+    for (const char of text) {
+      if (ctx.measureText(line + char).width > width - 40) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+    lines.push(line);
+    if (lines.length > 2) {
+      lines.length = 2;
+      lines[1] = lines[1].slice(0, -1) + '…';
+    }
+
+    lines.forEach((l, i) => {
+      ctx.fillText(l.trim(), width / 2, height / 2 + (i - (lines.length - 1) / 2) * 42);
+    });
+    this.texture.needsUpdate = true;
+  }
+});
+
+class ClassroomDirector {
+  constructor(config = {}) {
+    this.config = {
+      idleSeconds: 25,             // learner inactivity before students chat among themselves
+      ambientCooldownSeconds: 45,  // gap between ambient exchanges
+      interjectionChance: 0.2,     // chance per learner turn that another student butts in
+      interjectionCooldownSeconds: 90,
+      hearingDistance: 8,          // metres at which an ambient voice fades to its quietest
+      ...config
+    };
+
+    this.lastActivity = Date.now();
+    this.lastAmbient = 0;
+    this.lastExchange = null;
+    this.lastInterjection = 0;
+    this.pendingInterjection = false;
+    this.quietSince = null;
+    this.playing = null;
+    this.timer = null;
+  }
+
+  // Overrides come from window.CLASSROOM_CONFIG.director
+  start() {
+    this.config = { ...this.config, ...(window.CLASSROOM_CONFIG?.director || {}) };
+    this.createCaptions();
+
+    const scene = document.querySelector('a-scene');
+    scene.addEventListener('chat-message-added', (e) => {
+      if (e.detail.type === 'user') this.onLearnerActivity(true);
+    });
+    scene.addEventListener('chat-recording-changed', (e) => {
+      if (e.detail.recording) this.onLearnerActivity();
+    });
+    scene.addEventListener('chat-conversation-started', () => this.onLearnerActivity());
+    scene.addEventListener('chat-conversation-ended', () => {
+      this.pendingInterjection = false;
+      this.onLearnerActivity();
+    });
+
+    this.timer = setInterval(() => this.update(), 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopLine();
+  }
+
+  // The learner always has the floor: anything the students are saying is cut off
+  onLearnerActivity(tookTurn = false) {
+    const now = Date.now();
+    this.lastActivity = now;
+    this.stopLine();
+
+    if (tookTurn &&
+        now - this.lastInterjection > this.config.interjectionCooldownSeconds * 1000 &&
+        Math.random() < this.config.interjectionChance) {
+      this.pendingInterjection = true;
+    }
+  }
+
+  // Nothing is being generated, spoken or recorded
+  isQuiet() {
+    const chat = window.aiChat;
+    return !this.playing &&
+           !chat?.isGenerating &&
+           !chat?.isSpeaking &&
+           !chat?.isRecording &&
+           !window.speechSynthesis?.speaking;
+  }
+
+  update() {
+    const now = Date.now();
+    if (!this.isQuiet()) {
+      this.quietSince = null;
+      return;
+    }
+    if (this.quietSince === null) this.quietSince = now;
+
+    // Lessons decide who speaks
+    if (window.lessonRunner?.running) return;
+
+    const current = window.aiChat?.currentNPC;
+    if (current) {
+      // Butt in shortly after the reply has been spoken
+      if (this.pendingInterjection && now - this.quietSince > 1500) {
+        this.pendingInterjection = false;
+        this.interject(current.id);
+      }
+    } else if (now - this.lastActivity > this.config.idleSeconds * 1000 &&
+               now - this.lastAmbient > this.config.ambientCooldownSeconds * 1000) {
+      this.playAmbient();
+    }
+  }
+
+  async playAmbient() {
+    const npcs = window.npcManager?.getAllNPCs() || {};
+    const exchanges = (window.classroomRoster?.ambient || []).filter(exchange => {
+      return exchange !== this.lastExchange && exchange.lines.every(line => npcs[line.npc]);
+    });
+    if (exchanges.length === 0) return;
+
+    const exchange = exchanges[Math.floor(Math.random() * exchanges.length)];
+    const run = { cancelled: false };
+    this.playing = run;
+    this.lastExchange = exchange;
+
+    for (const line of exchange.lines) {
+      if (run.cancelled) break;
+      await this.speakLine(line.npc, line.text, line.reaction, run);
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (this.playing === run) this.playing = null;
+    this.lastAmbient = Date.now();
+  }
+
+  async interject(currentId) {
+    const candidates = Object.keys(window.npcManager?.getAllNPCs() || {}).filter(id => {
+      return id !== currentId && STUDENT_PERSONALITIES[id]?.interjections?.length > 0;
+    });
+    if (candidates.length === 0) return;
+
+    const npcId = candidates[Math.floor(Math.random() * candidates.length)];
+    const lines = STUDENT_PERSONALITIES[npcId].interjections;
+    const text = lines[Math.floor(Math.random() * lines.length)];
+    this.lastInterjection = Date.now();
+
+    window.aiChat?.addMessageToUI('interjection', `${STUDENT_PERSONALITIES[npcId].name}: ${text}`);
+
+    const run = { cancelled: false };
+    this.playing = run;
+    await this.speakLine(npcId, text, 'excited', run);
+    if (this.playing === run) this.playing = null;
+  }
+
+  // Speaks one line with the student's voice, caption and reaction; resolves when it has been said
+  speakLine(npcId, text, reaction, run) {
+    const caption = this.getCaption(npcId);
+    caption?.show(text);
+    if (reaction) window.npcManager?.triggerReaction(npcId, reaction);
+
+    // Fallback duration when speech events never arrive
+    const estimate = 2000 + text.length * 90;
+
+    return new Promise(resolve => {
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(safety);
+        caption?.hide();
+        window.npcManager?.setSpeaking(npcId, false);
+        resolve();
+      };
+      const safety = setTimeout(finish, estimate + 8000);
+      run.finish = finish;
+
+      if (window.aiChat && window.spatialVoice?.enabled) {
+        this.speakSpatial(npcId, text, run, finish, estimate);
+      } else {
+        this.speakSynthesis(npcId, text, run, finish, estimate);
+      }
+    });
+  }
+
+  // Plays the whole line through positional audio; a line the TTS producers can't render is
+  // spoken by Web Speech instead
+  speakSpatial(npcId, text, run, finish, estimate) {
+    const lang = Hangul.detectLanguage(text, 'en');
+    const profile = window.aiChat.getVoiceProfile(npcId);
+    const playback = window.spatialVoice.play(npcId, text.trim(), { lang, profile });
+    run.playback = playback;
+
+    playback.onstart = () => window.npcManager?.setSpeaking(npcId, true);
+    playback.onend = finish;
+    playback.onfail = () => {
+      if (!run.cancelled) this.speakSynthesis(npcId, text, run, finish, estimate);
+    };
+  }
+
+  // Speaks the line's Korean and English parts one after another with Web Speech
+  speakSynthesis(npcId, text, run, finish, estimate) {
+    const chat = window.aiChat;
+    if (!window.speechSynthesis || !chat) {
+      setTimeout(finish, estimate);
+      return;
+    }
+
+    // Web Speech can't be panned, so distance only lowers the volume
+    const volume = this.getDistanceVolume(npcId);
+    const utterances = Hangul.splitScriptRuns(text, 'en').map(part => {
+      const utterance = chat.createUtterance(part.text.trim(), npcId, part.lang);
+      utterance.volume *= volume;
+      return utterance;
+    });
+
+    utterances.forEach((utterance, i) => {
+      const last = i === utterances.length - 1;
+      utterance.onend = () => { if (last || run.cancelled) finish(); };
+      utterance.onerror = finish;
+      if (i === 0) utterance.onstart = () => window.npcManager?.setSpeaking(npcId, true);
+    });
+
+    utterances.forEach(utterance => window.speechSynthesis.speak(utterance));
+  }
+
+  stopLine() {
+    if (!this.playing) return;
+
+    const run = this.playing;
+    run.cancelled = true;
+    this.playing = null;
+    run.playback?.stop();
+    window.speechSynthesis?.cancel();
+    run.finish?.();
+  }
+
+  getDistanceVolume(npcId) {
+    const npc = window.npcManager?.getNPC(npcId);
+    const camera = document.querySelector('#camera');
+    if (!npc || !camera) return 1;
+
+    const npcPos = new THREE.Vector3();
+    const cameraPos = new THREE.Vector3();
+    npc.el.object3D.getWorldPosition(npcPos);
+    camera.object3D.getWorldPosition(cameraPos);
+
+    const distance = npcPos.distanceTo(cameraPos);
+    return Math.min(1, Math.max(0.15, 1 - (distance - 1) / this.config.hearingDistance));
+  }
+
+  // One caption above every student, created up front so it has loaded before the first line
+  createCaptions() {
+    Object.values(window.npcManager?.getAllNPCs() || {}).forEach(npc => {
+      if (npc.el.querySelector('[speech-caption]')) return;
+
+      const captionEl = document.createElement('a-entity');
+      captionEl.setAttribute('position', '0 1.5 0');
+      captionEl.setAttribute('look-at', '[camera]');
+      captionEl.setAttribute('speech-caption', '');
+      npc.el.appendChild(captionEl);
+    });
+  }
+
+  getCaption(npcId) {
+    const captionEl = window.npcManager?.getNPC(npcId)?.el.querySelector('[speech-caption]');
+    return captionEl?.components['speech-caption'] || null;
+  }
+}
+
+// Create global director
+window.classroomDirector = new ClassroomDirector();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ClassroomDirector };
+}
@@ -0,0 +1,91 @@
+/**
+ * Classroom Layout for Korean Classroom VR
+ * Room size and furniture positions, used to build the desks and chairs and to work out
+ * where the learner can walk (see locomotion.js)
+ */
+
+const CLASSROOM_LAYOUT = {
+  // Floor is centred on the origin; the blackboard wall is at -z
+  room: { width: 10, depth: 8 },
+  teacherDesk: { x: 0, z: -3, width: 1.5, depth: 0.6 },
+  // Korean style: desks in pairs, a chair behind each half
+  desk: { width: 1.2, depth: 0.6 },
+  chair: { width: 0.4, depth: 0.45 },
+  deskPairs: [
+    { x: -2, z: -1 }, { x: 2, z: -1 },
+    { x: -2, z: 0.5 }, { x: 2, z: 0.5 },
+    { x: -2, z: 2 }, { x: 2, z: 2 }
+  ],
+  chairs: [
+    { x: -2.3, z: -0.5 }, { x: -1.7, z: -0.5 }, { x: 1.7, z: -0.5 }, { x: 2.3, z: -0.5 },
+    { x: -2.3, z: 1 }, { x: -1.7, z: 1 }, { x: 1.7, z: 1 }, { x: 2.3, z: 1 },
+    { x: -2.3, z: 2.5 }, { x: -1.7, z: 2.5 }, { x: 1.7, z: 2.5 }, { x: 2.3, z: 2.5 }
+  ]
+};
+
+class ClassroomLayout {
+  constructor(layout = CLASSROOM_LAYOUT) {
+    this.layout = layout;
+  }
+
+  // Create the desk pairs and chairs
+  build(container) {
+    this.layout.deskPairs.forEach(({ x, z }) => {
+      const pair = this.createEntity('a-entity', { class: 'desk-pair', position: `${x} 0 ${z}` });
+      pair.appendChild(this.createEntity('a-box', {
+        class: 'desk', position: '0 0.35 0', width: 1.2, height: 0.05, depth: 0.6, color: '#D4A574'
+      }));
+      [-0.55, 0.55].forEach(legX => {
+        pair.appendChild(this.createEntity('a-box', {
+          position: `${legX} 0.175 0`, width: 0.05, height: 0.35, depth: 0.5, color: '#666'
+        }));
+      });
+      container.appendChild(pair);
+    });
+
+    this.layout.chairs.forEach(({ x, z }) => {
+      const chair = this.createEntity('a-entity', { class: 'chair', position: `${x} 0 ${z}` });
+      chair.appendChild(this.createEntity('a-box', {
+        position: '0 0.25 0', width: 0.4, height: 0.05, depth: 0.4, color: '#4169E1'
+      }));
+      chair.appendChild(this.createEntity('a-box', {
+        position: '0 0.45 0.18', width: 0.4, height: 0.35, depth: 0.05, color: '#4169E1'
+      }));
+      container.appendChild(chair);
+    });
+  }
+
+  // Floor area inside the walls: { minX, maxX, minZ, maxZ }
+  getBounds() {
+    const { width, depth } = this.layout.room;
+    return { minX: -width / 2, maxX: width / 2, minZ: -depth / 2, maxZ: depth / 2 };
+  }
+
+  // Footprints of everything standing on the floor, as rectangles like getBounds()
+  getObstacles() {
+    const rect = (x, z, width, depth) => ({
+      minX: x - width / 2, maxX: x + width / 2, minZ: z - depth / 2, maxZ: z + depth / 2
+    });
+    const { teacherDesk, desk, chair } = this.layout;
+
+    return [
+      rect(teacherDesk.x, teacherDesk.z, teacherDesk.width, teacherDesk.depth),
+      ...this.layout.deskPairs.map(({ x, z }) => rect(x, z, desk.width, desk.depth)),
+      ...this.layout.chairs.map(({ x, z }) => rect(x, z, chair.width, chair.depth))
+    ];
+  }
+
+  createEntity(tag, attributes) {
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+  }
+}
+
+// Create global layout
+window.classroomLayout = new ClassroomLayout();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ClassroomLayout, CLASSROOM_LAYOUT };
+}
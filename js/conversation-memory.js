@@ -0,0 +1,147 @@
+/**
+ * Conversation Memory for Korean Classroom VR
+ * Per-NPC memory for smart mode: lines not repeated too soon and facts about the learner
+ */
+
+// Learner facts picked out of user turns; each pattern's first group is the value
+const FACT_PATTERNS = {
+  userName: [
+    /\b(?:my name is|call me|i'm called|i am called)\s+([a-z][a-z'-]*)/i,
+    /(?:제|내)\s*이름은\s*([가-힣a-z]+?)(?:이에요|예요|입니다|이야|야|이라고|라고)/i,
+    /([가-힣]+?)(?:이)?라고\s*(?:해요|합니다|불러)/
+  ],
+  userLike: [
+    /\bi (?:really |also )?(?:like|love|enjoy)\s+(?:to\s+)?([a-z][a-z' -]*[a-z])/i,
+    /([가-힣]+?)(?:을|를)\s*(?:정말\s*|진짜\s*|많이\s*)?좋아(?:해요|합니다|해)/
+  ]
+};
+
+// Likes too vague to repeat back to the learner
+const VAGUE_LIKES = ['you', 'it', 'that', 'this', 'them', 'him', 'her'];
+
+const SLOT_PATTERN = /\{(\w+)\}/g;
+
+class ConversationMemory {
+  constructor() {
+    // npcId -> { processed, facts: { userName?, userLike? }, used: { '<lang>:<category>': Set of lines } }
+    this.npcs = {};
+  }
+
+  getState(npcId) {
+    if (!this.npcs[npcId]) {
+      this.npcs[npcId] = { processed: 0, facts: {}, used: {} };
+    }
+    return this.npcs[npcId];
+  }
+
+  // Drop what was learned about an NPC's conversation (e.g. after its history was replaced)
+  forget(npcId) {
+    delete this.npcs[npcId];
+  }
+
+  // Read history entries not seen yet: facts from learner turns, used lines from NPC turns
+  // The first call for an NPC rebuilds its memory from the saved conversation
+  sync(npcId, history, tables) {
+    const state = this.getState(npcId);
+    if (history.length < state.processed) {
+      this.forget(npcId);
+      return this.sync(npcId, history, tables);
+    }
+
+    history.slice(state.processed).forEach(msg => {
+      if (msg.role === 'user') {
+        Object.assign(state.facts, this.extractFacts(msg.content));
+      } else {
+        this.markUsed(state, msg.content, tables);
+      }
+    });
+    state.processed = history.length;
+  }
+
+  // { userName?, userLike? } found in one learner message
+  extractFacts(text) {
+    const facts = {};
+    Object.entries(FACT_PATTERNS).forEach(([slot, patterns]) => {
+      for (const pattern of patterns) {
+        const match = (text || '').match(pattern);
+        if (!match) continue;
+
+        let value = match[1].trim();
+        if (slot === 'userName' && /^[a-z]/.test(value)) {
+          value = value.charAt(0).toUpperCase() + value.slice(1);
+        }
+        if (slot === 'userLike' && (VAGUE_LIKES.includes(value.toLowerCase()) || value.split(' ').length > 4)) {
+          continue;
+        }
+        facts[slot] = value;
+        break;
+      }
+    });
+    return facts;
+  }
+
+  // tables: { <lang>: { <category>: [lines] } }; a reply counts as a use of the line it was filled from
+  markUsed(state, content, tables) {
+    Object.entries(tables || {}).forEach(([lang, table]) => {
+      Object.entries(table).forEach(([category, lines]) => {
+        lines.forEach(line => {
+          if (this.matchesTemplate(line, content)) {
+            const key = `${lang}:${category}`;
+            if (!state.used[key]) state.used[key] = new Set();
+            state.used[key].add(line);
+          }
+        });
+      });
+    });
+  }
+
+  matchesTemplate(line, content) {
+    if (!line.includes('{')) return line === content;
+
+    const pattern = line
+      .split(SLOT_PATTERN)
+      .map((part, i) => (i % 2 === 1 ? '.+?' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+    return new RegExp(`^${pattern}$`).test(content);
+  }
+
+  // Pick a line for a category like drawing from a bag: every line is used once before any repeats,
+  // and lines whose slots can't be filled yet are skipped
+  pickLine(npcId, key, lines) {
+    const state = this.getState(npcId);
+    const used = state.used[key] || (state.used[key] = new Set());
+    const usable = lines.filter(line => this.fill(line, state.facts) !== null);
+    const pool = usable.length > 0 ? usable : lines;
+
+    let candidates = pool.filter(line => !used.has(line));
+    if (candidates.length === 0) {
+      // Bag is empty: start over, but not with the line that was just said
+      const last = Array.from(used).pop();
+      used.clear();
+      candidates = pool.length > 1 ? pool.filter(line => line !== last) : pool;
+    }
+
+    const line = candidates[Math.floor(Math.random() * candidates.length)];
+    used.add(line);
+    return this.fill(line, state.facts) || line.replace(SLOT_PATTERN, '').replace(/\s+([,.!?])/g, '$1').trim();
+  }
+
+  // Replace {slot} with a remembered fact; null when a slot has nothing to fill it
+  fill(line, facts) {
+    let missing = false;
+    const text = line.replace(SLOT_PATTERN, (match, slot) => {
+      if (facts[slot] === undefined) missing = true;
+      return facts[slot] || '';
+    });
+    return missing ? null : text;
+  }
+
+  getFacts(npcId) {
+    return { ...this.getState(npcId).facts };
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ConversationMemory, FACT_PATTERNS };
+}
@@ -0,0 +1,115 @@
+/**
+ * Conversation Store for Korean Classroom VR
+ * Saves chat history per NPC and exports/imports transcripts
+ */
+
+const TRANSCRIPT_FORMAT = 'korean-classroom-transcripts';
+
+class ConversationStore {
+  constructor() {
+    this.keyPrefix = 'conversation:';
+  }
+
+  // Stored history for one NPC: [{ role, content, timestamp, lang?, interrupted?, emotion? }]
+  load(npcId) {
+    const history = Settings.get(this.keyPrefix + npcId, []);
+    return Array.isArray(history) ? history.filter(msg => this.isValidMessage(msg)) : [];
+  }
+
+  save(npcId, history) {
+    Settings.set(this.keyPrefix + npcId, history);
+  }
+
+  isValidMessage(msg) {
+    return msg && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string';
+  }
+
+  // histories: { npcId: [messages] }, npcs: { npcId: { name, nameKorean } }
+  exportJSON(histories, npcs) {
+    const conversations = {};
+    Object.entries(histories).forEach(([npcId, messages]) => {
+      if (messages.length === 0) return;
+      conversations[npcId] = {
+        name: npcs[npcId]?.name || npcId,
+        nameKorean: npcs[npcId]?.nameKorean || '',
+        messages
+      };
+    });
+
+    return JSON.stringify({
+      format: TRANSCRIPT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      conversations
+    }, null, 2);
+  }
+
+  exportMarkdown(histories, npcs) {
+    const lines = [
+      '# Korean Classroom VR Transcripts',
+      '',
+      `Exported ${this.formatTime(new Date().toISOString())}`
+    ];
+
+    Object.entries(histories).forEach(([npcId, messages]) => {
+      if (messages.length === 0) return;
+
+      const npc = npcs[npcId];
+      const name = npc?.name || npcId;
+      lines.push('', `## ${name}${npc?.nameKorean ? ` (${npc.nameKorean})` : ''}`, '');
+
+      messages.forEach(msg => {
+        const speaker = msg.role === 'user' ? 'Learner' : name;
+        const time = msg.timestamp ? `\`${this.formatTime(msg.timestamp)}\` ` : '';
+        const note = msg.interrupted ? ' _(interrupted)_' : '';
+        lines.push(`- ${time}**${speaker}:** ${msg.content.replace(/\n+/g, ' ')}${note}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Accepts an exportJSON() file or a bare { npcId: [messages] } map
+  // Returns { npcId: [messages] } with invalid messages dropped; throws on unreadable input
+  parseImport(text) {
+    const data = JSON.parse(text);
+    const source = data?.format === TRANSCRIPT_FORMAT
+      ? Object.fromEntries(Object.entries(data.conversations || {}).map(([id, c]) => [id, c.messages]))
+      : data;
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error('Not a transcript file');
+    }
+
+    const histories = {};
+    Object.entries(source).forEach(([npcId, messages]) => {
+      if (!Array.isArray(messages)) return;
+      histories[npcId] = messages.filter(msg => this.isValidMessage(msg));
+    });
+    return histories;
+  }
+
+  // Combine two histories, skipping messages already present and keeping time order
+  merge(existing, incoming) {
+    const key = msg => `${msg.timestamp || ''}|${msg.role}|${msg.content}`;
+    const seen = new Set(existing.map(key));
+    const added = incoming.filter(msg => !seen.has(key(msg)));
+
+    return [...existing, ...added].sort((a, b) => {
+      if (!a.timestamp || !b.timestamp) return 0;
+      return a.timestamp.localeCompare(b.timestamp);
+    });
+  }
+
+  formatTime(isoString) {
+    const date = new Date(isoString);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+           `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ConversationStore };
+}
@@ -0,0 +1,446 @@
+/**
+ * Teacher Dashboard for Korean Classroom VR
+ * Follows live learner sessions (js/session-telemetry.js): who they are talking to, the transcript,
+ * speaking vs typing time and errors, and sends prompts for an NPC to say. Exported transcript
+ * files can be opened for review as well.
+ *
+ * URL: dashboard.html?relay=ws://host:8081&token=<teacher token> (the relay defaults to the host serving the page;
+ * the token is the relay's TEACHER_TOKEN, which learners only accept prompts from)
+ * Learners report to the relay on the host serving the classroom unless opened with ?telemetry=off
+ */
+
+const DASHBOARD_ROOM = 'dashboard';
+
+class TeacherDashboard {
+  constructor() {
+    this.transport = null;
+    this.peerId = null;
+    // session id (relay peer id, or file:<n> for opened transcripts) -> session
+    this.sessions = new Map();
+    this.selectedId = null;
+    this.selectedNPC = null;
+    this.fileCount = 0;
+    this.el = {};
+  }
+
+  getToken() {
+    return new URLSearchParams(window.location.search).get('token') || '';
+  }
+
+  getRelayURL() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('relay') || `ws://${window.location.hostname || 'localhost'}:8081`;
+  }
+
+  start(transport) {
+    ['relay-status', 'session-list', 'session-detail', 'session-summary', 'session-stats', 'speaking-bar', 'typing-bar',
+      'time-labels', 'conversation-tabs', 'transcript', 'error-list', 'prompt-form', 'prompt-npc',
+      'prompt-text', 'prompt-send', 'prompt-note', 'transcript-file'].forEach(id => {
+      this.el[id] = document.getElementById(id);
+    });
+
+    this.el['prompt-form'].addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendPrompt();
+    });
+    this.el['transcript-file'].addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.openTranscript(file);
+      e.target.value = '';
+    });
+
+    this.transport = transport || new WebSocketTransport(this.getRelayURL());
+    this.transport.onOpen = () => {
+      this.transport.send({ type: 'join', room: DASHBOARD_ROOM, role: 'teacher', name: 'Dashboard', token: this.getToken() });
+    };
+    this.transport.onClose = () => {
+      this.peerId = null;
+      this.sessions.forEach(session => { session.connected = false; });
+      this.setStatus('Relay not reachable, retrying...', false);
+      this.render();
+    };
+    this.transport.onMessage = (message) => this.handleMessage(message);
+    this.transport.connect();
+  }
+
+  setStatus(text, ok) {
+    this.el['relay-status'].textContent = text;
+    this.el['relay-status'].classList.toggle('ok', ok);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.peerId = message.peerId;
+        if (message.role !== 'teacher') {
+          this.setStatus('Connected without the teacher token (add &token=...): prompts are ignored', false);
+          break;
+        }
+        this.setStatus('Connected', true);
+        // Sessions already in the room send a snapshot when they see us join
+        break;
+
+      case 'peer-joined':
+        if (message.role === 'student') {
+          this.getSession(message.peerId).learner = message.name;
+          this.render();
+        }
+        break;
+
+      case 'peer-left':
+        if (this.sessions.has(message.peerId)) {
+          this.sessions.get(message.peerId).connected = false;
+          this.render();
+        }
+        break;
+
+      case 'telemetry':
+        this.applyEvent(this.getSession(message.from), message);
+        this.render();
+        break;
+    }
+  }
+
+  getSession(id) {
+    if (!this.sessions.has(id)) {
+      this.sessions.set(id, {
+        id,
+        learner: 'Learner',
+        classroom: '',
+        students: [],
+        activeNPC: null,
+        lesson: null,
+        stats: { speakingMs: 0, typingMs: 0, voiceMessages: 0, typedMessages: 0 },
+        errors: [],
+        histories: {},
+        live: true,
+        connected: true,
+        lastSeen: Date.now()
+      });
+      if (!this.selectedId) this.selectedId = id;
+    }
+    return this.sessions.get(id);
+  }
+
+  applyEvent(session, message) {
+    session.lastSeen = message.at || Date.now();
+
+    switch (message.event) {
+      case 'snapshot':
+        ['learner', 'classroom', 'students', 'activeNPC', 'lesson', 'stats', 'errors', 'histories'].forEach(key => {
+          if (message[key] !== undefined) session[key] = message[key];
+        });
+        session.connected = true;
+        break;
+      case 'active-npc':
+        session.activeNPC = message.npcId;
+        break;
+      case 'chat':
+        if (!session.histories[message.npcId]) session.histories[message.npcId] = [];
+        session.histories[message.npcId].push(message.message);
+        break;
+      case 'stats':
+        session.stats = message.stats;
+        break;
+      case 'error':
+        session.errors.push({ ...message.error, at: message.at });
+        break;
+      case 'lesson':
+        session.lesson = message.lesson;
+        break;
+    }
+  }
+
+  // Exported transcripts (Export JSON in the classroom) become read-only sessions
+  async openTranscript(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data.format !== 'korean-classroom-transcripts' || !data.conversations) {
+        throw new Error('not a Korean Classroom VR transcript export');
+      }
+
+      const id = `file:${++this.fileCount}`;
+      const session = this.getSession(id);
+      session.learner = file.name;
+      session.classroom = data.exportedAt ? `Exported ${new Date(data.exportedAt).toLocaleString()}` : '';
+      session.live = false;
+      session.connected = false;
+      Object.entries(data.conversations).forEach(([npcId, conversation]) => {
+        session.students.push({ id: npcId, name: conversation.name, nameKorean: conversation.nameKorean });
+        session.histories[npcId] = Array.isArray(conversation.messages) ? conversation.messages : [];
+        session.histories[npcId].forEach(msg => {
+          if (msg.pronunciation && msg.pronunciation.score < 90) {
+            session.errors.push({
+              kind: 'pronunciation',
+              npcId,
+              expected: msg.pronunciation.target,
+              heard: msg.pronunciation.heard,
+              score: msg.pronunciation.score,
+              at: Date.parse(msg.timestamp) || null
+            });
+          }
+        });
+      });
+
+      this.select(id);
+    } catch (error) {
+      alert(`Could not open ${file.name}: ${error.message}`);
+    }
+  }
+
+  select(id) {
+    this.selectedId = id;
+    this.selectedNPC = null;
+    this.render();
+  }
+
+  sendPrompt() {
+    const session = this.sessions.get(this.selectedId);
+    const npcId = this.el['prompt-npc'].value;
+    const text = this.el['prompt-text'].value.trim();
+    if (!session?.live || !session.connected || !npcId || !text) return;
+
+    if (this.transport.send({ type: 'prompt', to: session.id, npcId, text })) {
+      this.el['prompt-text'].value = '';
+      this.el['prompt-note'].textContent = `Sent to ${this.getStudentName(session, npcId)}`;
+    } else {
+      this.el['prompt-note'].textContent = 'Not connected to the relay';
+    }
+  }
+
+  getStudentName(session, npcId) {
+    return session.students.find(student => student.id === npcId)?.name || npcId;
+  }
+
+  render() {
+    this.renderList();
+    this.renderDetail();
+  }
+
+  renderList() {
+    const list = this.el['session-list'];
+    if (this.sessions.size === 0) return;
+
+    list.innerHTML = '';
+    this.sessions.forEach(session => {
+      const item = document.createElement('button');
+      item.className = 'session-item';
+      item.classList.toggle('selected', session.id === this.selectedId);
+      item.classList.toggle('offline', session.live && !session.connected);
+      item.classList.toggle('file', !session.live);
+
+      const name = document.createElement('strong');
+      name.textContent = session.learner;
+      item.appendChild(name);
+
+      const detail = document.createElement('small');
+      if (!session.live) {
+        detail.textContent = 'Transcript file';
+      } else if (!session.connected) {
+        detail.textContent = 'Disconnected';
+      } else {
+        detail.textContent = session.activeNPC
+          ? `Talking to ${this.getStudentName(session, session.activeNPC)}`
+          : 'Not in a conversation';
+      }
+      item.appendChild(detail);
+
+      if (session.errors.length > 0) {
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = session.errors.length;
+        badge.title = 'Errors';
+        item.appendChild(badge);
+      }
+
+      item.addEventListener('click', () => this.select(session.id));
+      list.appendChild(item);
+    });
+  }
+
+  renderDetail() {
+    const session = this.sessions.get(this.selectedId);
+    this.el['session-detail'].classList.toggle('hidden', !session);
+    if (!session) return;
+
+    this.renderSummary(session);
+    this.renderStats(session);
+    this.renderConversation(session);
+    this.renderErrors(session);
+    this.renderPromptForm(session);
+  }
+
+  renderSummary(session) {
+    const summary = this.el['session-summary'];
+    summary.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = session.learner;
+    summary.appendChild(title);
+
+    const parts = [];
+    if (session.classroom) parts.push(session.classroom);
+    if (session.live) {
+      parts.push(session.connected ? 'Live' : 'Disconnected');
+      parts.push(session.activeNPC ? `Talking to ${this.getStudentName(session, session.activeNPC)}` : 'Not in a conversation');
+    }
+    if (session.lesson) parts.push(`Lesson: ${session.lesson.title || session.lesson.id}`);
+
+    const info = document.createElement('p');
+    info.textContent = parts.join(' · ');
+    summary.appendChild(info);
+  }
+
+  renderStats(session) {
+    const { speakingMs, typingMs, voiceMessages, typedMessages } = session.stats;
+    const total = speakingMs + typingMs;
+    const speakingShare = total > 0 ? speakingMs / total : 0.5;
+
+    this.el['session-stats'].classList.toggle('hidden', !session.live);
+    this.el['speaking-bar'].style.width = `${speakingShare * 100}%`;
+    this.el['typing-bar'].style.width = `${(1 - speakingShare) * 100}%`;
+    this.el['time-labels'].textContent =
+      `🎤 Speaking ${this.formatDuration(speakingMs)} (${voiceMessages} messages) · ` +
+      `⌨️ Typing ${this.formatDuration(typingMs)} (${typedMessages} messages)`;
+  }
+
+  renderConversation(session) {
+    const npcIds = Object.keys(session.histories).filter(id => session.histories[id].length > 0);
+    if (session.activeNPC && !npcIds.includes(session.activeNPC)) npcIds.unshift(session.activeNPC);
+    if (!npcIds.includes(this.selectedNPC)) {
+      this.selectedNPC = session.activeNPC || npcIds[0] || null;
+    }
+
+    const tabs = this.el['conversation-tabs'];
+    tabs.innerHTML = '';
+    npcIds.forEach(npcId => {
+      const tab = document.createElement('button');
+      tab.className = 'tab';
+      tab.classList.toggle('selected', npcId === this.selectedNPC);
+      tab.textContent = `${npcId === session.activeNPC ? '● ' : ''}${this.getStudentName(session, npcId)}`;
+      tab.addEventListener('click', () => {
+        this.selectedNPC = npcId;
+        this.renderConversation(session);
+      });
+      tabs.appendChild(tab);
+    });
+
+    const transcript = this.el['transcript'];
+    const atBottom = transcript.scrollTop + transcript.clientHeight >= transcript.scrollHeight - 20;
+    transcript.innerHTML = '';
+
+    const history = session.histories[this.selectedNPC] || [];
+    if (history.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = 'No messages yet';
+      transcript.appendChild(empty);
+    }
+
+    history.forEach(msg => {
+      const row = document.createElement('div');
+      row.className = `message ${msg.role === 'user' ? 'user' : 'npc'}`;
+      if (msg.pronunciation) row.classList.add('pronunciation');
+
+      const meta = document.createElement('small');
+      const speaker = msg.role === 'user' ? 'Learner' : this.getStudentName(session, this.selectedNPC);
+      const source = msg.source === 'voice' ? ' 🎤' : '';
+      meta.textContent = `${msg.timestamp ? this.formatTime(msg.timestamp) + ' ' : ''}${speaker}${source}`;
+      row.appendChild(meta);
+
+      const text = document.createElement('div');
+      text.textContent = msg.content + (msg.interrupted ? ' (interrupted)' : '');
+      row.appendChild(text);
+
+      transcript.appendChild(row);
+    });
+
+    if (atBottom) transcript.scrollTop = transcript.scrollHeight;
+  }
+
+  renderErrors(session) {
+    const list = this.el['error-list'];
+    list.innerHTML = '';
+
+    if (session.errors.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'None so far';
+      list.appendChild(empty);
+      return;
+    }
+
+    session.errors.slice().reverse().forEach(error => {
+      const item = document.createElement('li');
+      item.className = error.kind;
+
+      const heading = document.createElement('strong');
+      heading.textContent = error.kind === 'pronunciation'
+        ? `Pronunciation ${error.score}/100`
+        : 'Vocabulary';
+      item.appendChild(heading);
+
+      const detail = document.createElement('span');
+      detail.textContent = `Expected ${error.expected} · heard "${error.heard}"`;
+      item.appendChild(detail);
+
+      const meta = document.createElement('small');
+      meta.textContent = [
+        error.npcId && this.getStudentName(session, error.npcId),
+        error.at && this.formatTime(error.at)
+      ].filter(Boolean).join(' · ');
+      item.appendChild(meta);
+
+      list.appendChild(item);
+    });
+  }
+
+  renderPromptForm(session) {
+    const select = this.el['prompt-npc'];
+    const previous = select.value;
+    const options = session.students.map(student => `${student.id}:${student.name}`).join('|');
+
+    // Rebuild the list only when the students change, so the teacher's choice survives updates
+    if (select.dataset.options !== options) {
+      select.dataset.options = options;
+      select.innerHTML = '';
+      session.students.forEach(student => {
+        const option = document.createElement('option');
+        option.value = student.id;
+        option.textContent = student.nameKorean ? `${student.name} (${student.nameKorean})` : student.name;
+        select.appendChild(option);
+      });
+      if (session.students.some(student => student.id === previous)) select.value = previous;
+    }
+
+    const canSend = session.live && session.connected && !!this.peerId;
+    this.el['prompt-form'].classList.toggle('hidden', !session.live);
+    this.el['prompt-send'].disabled = !canSend;
+    if (!canSend) {
+      this.el['prompt-note'].textContent = session.live ? 'The learner is not connected' : '';
+    }
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+  }
+
+  formatTime(time) {
+    const date = new Date(time);
+    return isNaN(date) ? '' : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+}
+
+// Create global dashboard
+window.teacherDashboard = new TeacherDashboard();
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.teacherDashboard.start();
+});
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TeacherDashboard };
+}
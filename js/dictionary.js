@@ -0,0 +1,59 @@
+/**
+ * Korean Dictionary for Korean Classroom VR
+ * English glosses from data/dictionary.json, looked up with particles and endings removed
+ */
+
+// Endings tried longest-first when a word is not in the dictionary as written
+const KOREAN_SUFFIXES = [
+  '이에요', '예요', '입니다', '이랑', '에서', '에게', '한테', '께서', '으로', '까지', '부터', '처럼', '이네요', '네요',
+  '이', '가', '은', '는', '을', '를', '에', '의', '도', '와', '과', '랑', '로', '만', '요'
+];
+
+class KoreanDictionary {
+  constructor() {
+    this.entries = {};
+    this.loaded = false;
+  }
+
+  // Glosses are optional; annotations still show romanization when the file is missing
+  async load(url = 'data/dictionary.json') {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+
+      const data = await response.json();
+      this.entries = data.entries || {};
+      this.loaded = true;
+      console.log(`Dictionary: ${Object.keys(this.entries).length} entries loaded`);
+    } catch (error) {
+      console.warn('Dictionary could not be loaded:', error.message);
+    }
+    return this.loaded;
+  }
+
+  // Returns { word, gloss } for the dictionary form of a word, or null
+  lookup(word) {
+    if (!word) return null;
+    if (this.entries[word]) {
+      return { word, gloss: this.entries[word] };
+    }
+
+    for (const suffix of KOREAN_SUFFIXES) {
+      if (word.length > suffix.length && word.endsWith(suffix)) {
+        const stem = word.slice(0, -suffix.length);
+        if (this.entries[stem]) {
+          return { word: stem, gloss: this.entries[stem] };
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// Create global dictionary
+window.koreanDictionary = new KoreanDictionary();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KoreanDictionary, KOREAN_SUFFIXES };
+}
@@ -0,0 +1,62 @@
+/**
+ * Emotion tagging for Korean Classroom VR
+ * Works out how an NPC feels about its reply, so it can react to match: from an [emotion] tag the
+ * LLM puts in front of the reply, or from cues in the text itself
+ */
+
+const EMOTIONS = ['calm', 'happy', 'shy', 'confused', 'stressed', 'laughing'];
+
+// Reaction for each emotion unless the student's roster entry says otherwise (emotions: {...})
+const DEFAULT_EMOTION_REACTIONS = {
+  calm: 'nod',
+  happy: 'excited',
+  shy: 'blush',
+  confused: 'tilt',
+  stressed: 'look-away',
+  laughing: 'laugh'
+};
+
+// Checked in order; the first emotion with a matching cue wins, and a reply without any is calm
+const EMOTION_CUES = [
+  ['laughing', /ㅋㅋ|ㅎㅎ|\b(ha){2,}|\b(he){2,}|\blol\b|😂|🤣|😆/i],
+  ['confused', /\b(huh|hmm+|what do you mean|i don'?t (understand|get it)|not sure|confus\w*)\b|뭐라고|모르겠|잘 몰라|무슨 말/i],
+  ['stressed', /\b(exams?|tests?|homework|tired|busy|stress\w*|worried|nervous|deadline)\b|시험|숙제|피곤|바빠|바쁘|힘들|걱정/i],
+  ['shy', /\.\.\.|…|\b(u+m+|u+h+|maybe|sorry|i guess|kind of)\b|음\.|저기|아마|죄송|부끄/i],
+  ['happy', /\b(great|love|fun|awesome|nice|happy|yay|cool|glad)\b|좋아|재미있|최고|신나|반가워|기뻐/i]
+];
+
+const Emotion = {
+  // Line added to the LLM system prompt so replies start with a tag
+  instruction: `Start every reply with how you feel, as one tag: ${EMOTIONS.map(e => `[${e}]`).join(', ')}. ` +
+    'Then write only what you say.',
+
+  // Split a leading [emotion] tag off a reply: { emotion, text }
+  // emotion is null when there is no known tag; a tag still being streamed hides as empty text
+  parse(text) {
+    const match = text.match(/^\s*\[([a-z]+)\]\s*/i);
+    if (match) {
+      const emotion = match[1].toLowerCase();
+      return { emotion: EMOTIONS.includes(emotion) ? emotion : null, text: text.slice(match[0].length) };
+    }
+    if (/^\s*\[[a-z]*$/i.test(text)) {
+      return { emotion: null, text: '' };
+    }
+    return { emotion: null, text };
+  },
+
+  // Rule-based emotion for an untagged reply (smart mode, or a model that ignored the instruction)
+  tag(text) {
+    const cue = EMOTION_CUES.find(([, pattern]) => pattern.test(text || ''));
+    return cue ? cue[0] : 'calm';
+  },
+
+  // Reaction an NPC plays for an emotion
+  reactionFor(emotion, config) {
+    return config?.emotions?.[emotion] || DEFAULT_EMOTION_REACTIONS[emotion] || 'nod';
+  }
+};
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Emotion, EMOTIONS, DEFAULT_EMOTION_REACTIONS };
+}
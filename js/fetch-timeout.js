@@ -0,0 +1,50 @@
+/**
+ * Fetch with a time limit for Korean Classroom VR
+ * Shared by the LLM providers and TTS producers, whose local servers may be slow or missing
+ */
+
+// Fetch url and read the response within timeout ms; resolves with what read(response, keepAlive)
+// returns (the response itself by default). The limit covers reading the body too, so a server that
+// stalls mid-reply is given up on. A reader of a long stream calls keepAlive() as data arrives, which
+// makes the limit apply between chunks instead of to the whole body.
+// signal cancels; network failures and timeouts are marked e.unreachable
+async function fetchWithTimeout(url, init, { timeout, signal, read = response => response } = {}) {
+  // An abort listener added now would never fire, and the request would run until the timeout
+  if (signal?.aborted) throw new DOMException('The request was cancelled', 'AbortError');
+
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), timeout);
+  const keepAlive = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeout);
+  };
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (e) {
+      // Network failures and timeouts mean the server is unreachable; a cancel does not
+      if (!signal?.aborted) e.unreachable = true;
+      throw e;
+    }
+
+    try {
+      return await read(response, keepAlive);
+    } catch (e) {
+      // A reply that stalls until the timeout counts as unreachable too; bad replies don't
+      if (controller.signal.aborted && !signal?.aborted) e.unreachable = true;
+      throw e;
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { fetchWithTimeout };
+}
@@ -0,0 +1,124 @@
+/**
+ * Hand gestures for Korean Classroom VR
+ * Recognises pinches and a raised hand from WebXR hand joint positions. Nothing here touches
+ * the scene, so recorded poses (classroomVR.recordHandPoses(), see test/fixtures) can be replayed under Node.
+ *
+ * Hand pose: { <joint name>: [x, y, z] } in metres, using the WebXR joint names below
+ * Frame: { t: ms, head: [x, y, z], hand: <hand pose> }
+ */
+
+// Joints read from XRHand each frame
+const HAND_JOINTS = [
+  'wrist',
+  'thumb-tip',
+  'index-finger-tip',
+  'middle-finger-tip',
+  'ring-finger-tip',
+  'pinky-finger-tip'
+];
+
+const HAND_GESTURE_DEFAULTS = {
+  pinchStart: 0.015,     // thumb and index tips closer than this start a pinch (m)
+  pinchEnd: 0.035,       // and further apart than this end it
+  extendedFinger: 0.13,  // fingertip this far from the wrist counts as straight (m)
+  raiseAbove: -0.05,     // wrist height over the head that counts as raised (m)
+  lowerBelow: -0.2,      // wrist height over the head that ends the raise (m)
+  raiseHold: 400         // ms a hand has to stay up before it counts
+};
+
+const HandGestures = {
+  distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  },
+
+  hasJoints(hand, joints) {
+    return !!hand && joints.every(joint => Array.isArray(hand[joint]));
+  },
+
+  pinchDistance(hand) {
+    return this.distance(hand['thumb-tip'], hand['index-finger-tip']);
+  },
+
+  // Pinch with hysteresis, so jitter around the threshold doesn't click twice
+  isPinching(hand, wasPinching = false, options = HAND_GESTURE_DEFAULTS) {
+    if (!this.hasJoints(hand, ['thumb-tip', 'index-finger-tip'])) return false;
+    const distance = this.pinchDistance(hand);
+    return wasPinching ? distance < options.pinchEnd : distance < options.pinchStart;
+  },
+
+  // Index, middle and ring fingers straight
+  isOpen(hand, options = HAND_GESTURE_DEFAULTS) {
+    const tips = ['index-finger-tip', 'middle-finger-tip', 'ring-finger-tip'];
+    if (!this.hasJoints(hand, ['wrist', ...tips])) return false;
+    return tips.every(tip => this.distance(hand.wrist, hand[tip]) > options.extendedFinger);
+  },
+
+  // Open hand held up at head height with the fingers pointing up, like asking a question in class
+  isRaised(hand, head, wasRaised = false, options = HAND_GESTURE_DEFAULTS) {
+    if (!head || !this.hasJoints(hand, ['wrist', 'middle-finger-tip'])) return false;
+    const height = hand.wrist[1] - head[1];
+    if (wasRaised) return height > options.lowerBelow;
+
+    const pointingUp = hand['middle-finger-tip'][1] - hand.wrist[1] > options.extendedFinger * 0.7;
+    return height > options.raiseAbove && pointingUp && this.isOpen(hand, options);
+  },
+
+  // Run a tracker over recorded frames; returns [{ t, type }]
+  replay(frames, options) {
+    const tracker = new HandGestureTracker(options);
+    return frames.flatMap(frame => tracker.update(frame).map(type => ({ t: frame.t, type })));
+  }
+};
+
+// Gesture state for one hand, fed a frame at a time
+// update() returns the events that happened: pinchstart, pinchend, raise, lower
+class HandGestureTracker {
+  constructor(options = {}) {
+    this.options = { ...HAND_GESTURE_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.pinching = false;
+    this.raised = false;
+    this.raisedSince = null;
+  }
+
+  update({ t, head, hand }) {
+    const events = [];
+
+    // A hand that lost tracking lets go of everything
+    if (!hand) {
+      if (this.pinching) events.push('pinchend');
+      if (this.raised) events.push('lower');
+      this.reset();
+      return events;
+    }
+
+    const pinching = HandGestures.isPinching(hand, this.pinching, this.options);
+    if (pinching !== this.pinching) {
+      events.push(pinching ? 'pinchstart' : 'pinchend');
+      this.pinching = pinching;
+    }
+
+    const up = HandGestures.isRaised(hand, head, this.raised || this.raisedSince !== null, this.options);
+    if (!up) {
+      if (this.raised) events.push('lower');
+      this.raised = false;
+      this.raisedSince = null;
+    } else if (!this.raised) {
+      if (this.raisedSince === null) this.raisedSince = t;
+      if (t - this.raisedSince >= this.options.raiseHold) {
+        this.raised = true;
+        events.push('raise');
+      }
+    }
+
+    return events;
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HandGestures, HandGestureTracker, HAND_JOINTS, HAND_GESTURE_DEFAULTS };
+}
@@ -0,0 +1,138 @@
+/**
+ * Controller-free input for Korean Classroom VR
+ * Gaze dwell selection on the cursor, and pinch / raised-hand gestures from WebXR hand tracking
+ * (recognised by hand-gestures.js)
+ */
+
+// Looking at something selectable for a moment clicks it; a ring around the cursor fills up meanwhile
+// Only runs in the headset, and by default ('hands') only while hands are tracked instead of controllers,
+// so controller users aren't clicked for just looking around
+AFRAME.registerComponent('gaze-dwell', {
+  schema: {
+    mode: { type: 'string', default: 'hands', oneOf: ['hands', 'on', 'off'] },
+    duration: { type: 'number', default: 1500 }
+  },
+
+  init: function () {
+    this.target = null;
+    this.elapsed = 0;
+    this.fired = false;
+
+    this.ring = document.createElement('a-ring');
+    this.ring.setAttribute('radius-inner', 0.013);
+    this.ring.setAttribute('radius-outer', 0.018);
+    this.ring.setAttribute('theta-start', 90);
+    this.ring.setAttribute('theta-length', 0);
+    this.ring.setAttribute('material', { color: '#4CC3D9', shader: 'flat', opacity: 0.9, transparent: true });
+    this.ring.object3D.visible = false;
+    this.el.appendChild(this.ring);
+
+    this.el.addEventListener('mouseenter', (e) => this.setTarget(e.detail.intersectedEl));
+    this.el.addEventListener('mouseleave', () => this.setTarget(null));
+  },
+
+  setTarget: function (target) {
+    this.target = target || null;
+    this.elapsed = 0;
+    this.fired = false;
+    this.showProgress(0);
+  },
+
+  tick: function (time, delta) {
+    if (!this.target || this.fired || !this.el.sceneEl.is('vr-mode') || !this.isActive()) {
+      return;
+    }
+
+    this.elapsed += delta;
+    this.showProgress(this.elapsed / this.data.duration);
+
+    if (this.elapsed >= this.data.duration) {
+      // Stay put until the gaze moves on, so one look is one click
+      this.fired = true;
+      this.showProgress(0);
+      this.target.emit('click', { cursorEl: this.el });
+    }
+  },
+
+  isActive: function () {
+    if (this.data.mode !== 'hands') return this.data.mode === 'on';
+    const session = this.el.sceneEl.renderer.xr.getSession?.();
+    return !!session && Array.from(session.inputSources).some(input => input.hand);
+  },
+
+  showProgress: function (progress) {
+    this.ring.object3D.visible = progress > 0;
+    this.ring.setAttribute('theta-length', Math.min(1, progress) * 360);
+  }
+});
+
+// WebXR hand tracking for one hand: pinch clicks what the hand (or else the gaze) points at,
+// a raised hand starts speech recording
+AFRAME.registerComponent('hand-gesture-input', {
+  schema: {
+    hand: { type: 'string', default: 'right', oneOf: ['left', 'right'] }
+  },
+
+  init: function () {
+    this.tracker = new HandGestureTracker(window.CLASSROOM_CONFIG?.handGestures);
+    // Array to push frames into while classroomVR.recordHandPoses() runs
+    this.recorded = null;
+  },
+
+  tick: function (time) {
+    const frame = this.readFrame(time);
+    if (!frame) return;
+
+    if (this.recorded) this.recorded.push(frame);
+    this.tracker.update(frame).forEach(type => this.onGesture(type));
+  },
+
+  // { t, head, hand } in the XR reference space, or null outside a session; hand is null while untracked
+  readFrame: function (time) {
+    const sceneEl = this.el.sceneEl;
+    const xrFrame = sceneEl.frame;
+    const session = sceneEl.renderer.xr.getSession?.();
+    if (!xrFrame || !session || !xrFrame.getJointPose) return null;
+
+    const referenceSpace = sceneEl.renderer.xr.getReferenceSpace();
+    const source = Array.from(session.inputSources).find(input => input.hand && input.handedness === this.data.hand);
+    const camera = document.querySelector('#camera');
+    const head = camera ? camera.object3D.position.toArray() : null;
+
+    let hand = null;
+    if (source) {
+      hand = {};
+      HAND_JOINTS.forEach(joint => {
+        const space = source.hand.get(joint);
+        const pose = space && xrFrame.getJointPose(space, referenceSpace);
+        if (pose) {
+          const { x, y, z } = pose.transform.position;
+          hand[joint] = [x, y, z];
+        }
+      });
+      if (!hand.wrist) hand = null;
+    }
+
+    return { t: time, head, hand };
+  },
+
+  onGesture: function (type) {
+    this.el.emit(`hand-${type}`, { hand: this.data.hand });
+
+    if (type === 'pinchstart') {
+      const target = this.getPointedAt();
+      if (target) target.emit('click', { cursorEl: this.el });
+    } else if (type === 'raise' && window.aiChat && !window.aiChat.isRecording) {
+      window.aiChat.startRecording();
+    }
+  },
+
+  // Nearest thing on this hand's laser, falling back to what the gaze cursor is on
+  getPointedAt: function () {
+    const raycaster = this.el.components.raycaster;
+    if (raycaster?.intersectedEls.length > 0) {
+      return raycaster.intersectedEls[0];
+    }
+    return document.querySelector('a-cursor')?.components.cursor?.intersectedEl || null;
+  }
+});
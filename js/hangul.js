@@ -0,0 +1,187 @@
+/**
+ * Hangul utilities for Korean Classroom VR
+ * Script detection, splitting, jamo decomposition and romanization for Korean text
+ */
+
+// Jamo for each position of a syllable block, in Unicode order
+const HANGUL_INITIALS = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const HANGUL_MEDIALS = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'];
+const HANGUL_FINALS = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const HANGUL_BASE = 0xAC00;
+
+// Revised Romanization of Korean
+const RR_INITIALS = {
+  'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm', 'ㅂ': 'b', 'ㅃ': 'pp', 'ㅅ': 's',
+  'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj', 'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+};
+const RR_MEDIALS = {
+  'ㅏ': 'a', 'ㅐ': 'ae', 'ㅑ': 'ya', 'ㅒ': 'yae', 'ㅓ': 'eo', 'ㅔ': 'e', 'ㅕ': 'yeo', 'ㅖ': 'ye', 'ㅗ': 'o', 'ㅘ': 'wa',
+  'ㅙ': 'wae', 'ㅚ': 'oe', 'ㅛ': 'yo', 'ㅜ': 'u', 'ㅝ': 'wo', 'ㅞ': 'we', 'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'eu', 'ㅢ': 'ui', 'ㅣ': 'i'
+};
+// Finals are pronounced as one of seven sounds before a consonant or at the end of a word
+const RR_FINALS = {
+  '': '', 'ㄱ': 'k', 'ㄲ': 'k', 'ㅋ': 'k', 'ㄳ': 'k', 'ㄺ': 'k', 'ㄴ': 'n', 'ㄵ': 'n', 'ㄶ': 'n',
+  'ㄷ': 't', 'ㅅ': 't', 'ㅆ': 't', 'ㅈ': 't', 'ㅊ': 't', 'ㅌ': 't', 'ㅎ': 't',
+  'ㄹ': 'l', 'ㄼ': 'l', 'ㄽ': 'l', 'ㄾ': 'l', 'ㅀ': 'l', 'ㅁ': 'm', 'ㄻ': 'm', 'ㅂ': 'p', 'ㅍ': 'p', 'ㅄ': 'p', 'ㄿ': 'p', 'ㅇ': 'ng'
+};
+// Double finals: the part that stays and the part that carries over to a following ㅇ
+const SPLIT_FINALS = {
+  'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'], 'ㄺ': ['ㄹ', 'ㄱ'], 'ㄻ': ['ㄹ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ'],
+  'ㄽ': ['ㄹ', 'ㅅ'], 'ㄾ': ['ㄹ', 'ㅌ'], 'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅅ']
+};
+const RR_NASALIZED = { 'k': 'ng', 't': 'n', 'p': 'm' };
+const RR_ASPIRATED = { 'ㄱ': 'k', 'ㄷ': 't', 'ㅂ': 'p', 'ㅈ': 'ch' };
+
+const Hangul = {
+  // Hangul syllables, jamo and compatibility jamo
+  isHangul(char) {
+    const code = char.charCodeAt(0);
+    return (code >= 0xAC00 && code <= 0xD7A3) ||
+           (code >= 0x1100 && code <= 0x11FF) ||
+           (code >= 0x3130 && code <= 0x318F);
+  },
+
+  // A precomposed syllable block such as 한
+  isSyllable(char) {
+    const code = char.charCodeAt(0);
+    return code >= HANGUL_BASE && code <= 0xD7A3;
+  },
+
+  isLatin(char) {
+    return /[A-Za-z]/.test(char);
+  },
+
+  // Guess the language of a message from its letters: 'ko', 'en', or fallback when there are none
+  detectLanguage(text, fallback = 'en') {
+    let hangul = 0;
+    let latin = 0;
+
+    for (const char of text) {
+      if (this.isHangul(char)) hangul++;
+      else if (this.isLatin(char)) latin++;
+    }
+
+    if (hangul === 0 && latin === 0) return fallback;
+    // Hangul syllables carry more per letter than Latin, so a few Korean words outweigh many English ones
+    return hangul * 2 >= latin ? 'ko' : 'en';
+  },
+
+  // Split text into runs of Korean and English, e.g. for speaking each with a matching voice
+  // Spaces, digits and punctuation stay with the run they follow; returns [{ lang, text }]
+  splitScriptRuns(text, defaultLang = 'en') {
+    const runs = [];
+    let lead = '';
+
+    for (const char of text) {
+      const lang = this.isHangul(char) ? 'ko' : this.isLatin(char) ? 'en' : null;
+      const last = runs[runs.length - 1];
+
+      if (!lang) {
+        if (last) last.text += char;
+        else lead += char;
+      } else if (last && last.lang === lang) {
+        last.text += char;
+      } else {
+        runs.push({ lang, text: (runs.length === 0 ? lead : '') + char });
+      }
+    }
+
+    if (runs.length === 0) {
+      return lead.trim() ? [{ lang: defaultLang, text: lead }] : [];
+    }
+    return runs;
+  },
+
+  // Split a syllable block into { initial, medial, final }, e.g. 한 -> ㅎ ㅏ ㄴ; null for anything else
+  decompose(char) {
+    if (!char || !this.isSyllable(char)) return null;
+
+    const index = char.charCodeAt(0) - HANGUL_BASE;
+    return {
+      initial: HANGUL_INITIALS[Math.floor(index / 588)],
+      medial: HANGUL_MEDIALS[Math.floor((index % 588) / 28)],
+      final: HANGUL_FINALS[index % 28]
+    };
+  },
+
+  // Build a syllable block from its jamo (final may be '')
+  compose(initial, medial, final = '') {
+    const i = HANGUL_INITIALS.indexOf(initial);
+    const m = HANGUL_MEDIALS.indexOf(medial);
+    const f = HANGUL_FINALS.indexOf(final);
+    if (i < 0 || m < 0 || f < 0) return null;
+    return String.fromCharCode(HANGUL_BASE + i * 588 + m * 28 + f);
+  },
+
+  // Jamo of one syllable as a list, leaving out an empty final
+  toJamo(char) {
+    const parts = this.decompose(char);
+    if (!parts) return [];
+    return parts.final ? [parts.initial, parts.medial, parts.final] : [parts.initial, parts.medial];
+  },
+
+  // Revised Romanization, e.g. 감사합니다 -> gamsahamnida, 한국어 -> hangugeo
+  // Applies the common sound changes between syllables of a word: liaison, nasalization,
+  // ㄹ assimilation, aspiration with ㅎ and palatalization. Other characters pass through.
+  romanize(text) {
+    return (text || '').replace(/[\uAC00-\uD7A3]+/g, word => this.romanizeWord(Array.from(word)));
+  },
+
+  romanizeWord(syllables) {
+    const parts = syllables.map(char => this.decompose(char));
+    let result = '';
+    let nextInitial = null;
+
+    parts.forEach((part, i) => {
+      const initial = nextInitial !== null ? nextInitial : RR_INITIALS[part.initial];
+      let final = RR_FINALS[part.final];
+      nextInitial = null;
+
+      const next = parts[i + 1];
+      if (next && part.final) {
+        const following = next.initial;
+
+        if (following === 'ㅇ' && part.final !== 'ㅇ') {
+          // Liaison: the final is pronounced as the next syllable's initial
+          const [stay, move] = SPLIT_FINALS[part.final] || ['', part.final];
+          final = RR_FINALS[stay];
+          nextInitial = move === 'ㅎ' ? '' : RR_INITIALS[move];
+          if (next.medial === 'ㅣ' && move === 'ㄷ') nextInitial = 'j';
+          if (next.medial === 'ㅣ' && move === 'ㅌ') nextInitial = 'ch';
+        } else if (following === 'ㅎ' && RR_ASPIRATED[part.final]) {
+          final = '';
+          nextInitial = RR_ASPIRATED[part.final];
+        } else if (part.final === 'ㅎ' && RR_ASPIRATED[following]) {
+          final = '';
+          nextInitial = RR_ASPIRATED[following];
+        } else if (following === 'ㄹ') {
+          if (final === 'n' || final === 'l') {
+            final = 'l';
+            nextInitial = 'l';
+          } else {
+            final = RR_NASALIZED[final] || final;
+            nextInitial = 'n';
+          }
+        } else if (following === 'ㄴ' && final === 'l') {
+          nextInitial = 'l';
+        } else if (following === 'ㄴ' || following === 'ㅁ') {
+          final = RR_NASALIZED[final] || final;
+        }
+      }
+
+      result += initial + RR_MEDIALS[part.medial] + final;
+    });
+
+    return result;
+  },
+
+  // Only the syllable blocks of a text (spaces, punctuation and Latin removed)
+  syllables(text) {
+    return Array.from(text || '').filter(char => this.isSyllable(char));
+  }
+};
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Hangul };
+}
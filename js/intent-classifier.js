@@ -0,0 +1,146 @@
+/**
+ * Intent Classifier for Korean Classroom VR
+ * Offline weighted-keyword (TF-IDF) classifier that picks a smart-mode response category
+ * for a learner message, trained from the examples in data/intents.json
+ */
+
+// Hangul and Latin text are split into words; Korean words also give syllable bigrams,
+// so 안녕하세요 and 안녕 share features even with endings attached
+const INTENT_TOKEN_PATTERN = /[가-힣]+|[a-z0-9']+/g;
+
+class IntentClassifier {
+  constructor() {
+    this.threshold = 0.35;
+    this.examples = [];
+    this.idf = {};
+    this.unknownWeight = 1;
+    this.trained = false;
+  }
+
+  async load(url = 'data/intents.json') {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      this.train(await response.json());
+      console.log(`Intent classifier: ${this.examples.length} examples loaded`);
+    } catch (error) {
+      console.warn('Intents could not be loaded:', error.message);
+    }
+    return this.trained;
+  }
+
+  // data: { threshold?, intents: { <intent>: [example texts] } }
+  train(data) {
+    if (typeof data.threshold === 'number') this.threshold = data.threshold;
+
+    const intents = Object.entries(data.intents || {});
+    const documents = [];
+    const counts = {};
+    intents.forEach(([intent, texts]) => {
+      const seen = new Set();
+      texts.forEach(text => {
+        const tokens = this.tokenize(text);
+        tokens.forEach(token => seen.add(token));
+        documents.push({ intent, tokens });
+      });
+      seen.forEach(token => { counts[token] = (counts[token] || 0) + 1; });
+    });
+
+    // A word's weight depends on how many intents use it, squared so words like "you" or "what"
+    // that appear everywhere count for little next to keywords like "hobby" or 취미
+    this.idf = {};
+    Object.entries(counts).forEach(([token, count]) => {
+      this.idf[token] = Math.pow(Math.log((intents.length + 1) / count), 2);
+    });
+    // Words never seen in training weigh like the rarest keyword, lowering the confidence
+    this.unknownWeight = Math.max(1, ...Object.values(this.idf));
+
+    this.examples = documents.map(doc => ({ intent: doc.intent, vector: this.vectorize(doc.tokens) }));
+    this.trained = this.examples.length > 0;
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    ((text || '').toLowerCase().match(INTENT_TOKEN_PATTERN) || []).forEach(word => {
+      if (/[가-힣]/.test(word)) {
+        const syllables = Array.from(word);
+        if (syllables.length === 1) tokens.push(word);
+        for (let i = 0; i < syllables.length - 1; i++) {
+          tokens.push(syllables[i] + syllables[i + 1]);
+        }
+      } else {
+        tokens.push(this.stem(word));
+      }
+    });
+    return tokens;
+  }
+
+  // Rough English stemming so "drawing" matches "draw" and "jokes" matches "joke"
+  stem(word) {
+    word = word.replace(/'s$/, '');
+    if (/^.{3,}ing$/.test(word)) return word.slice(0, -3);
+    if (/^.{2,}ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/^.{3,}[^su]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // Unit-length TF-IDF vector; unknown tokens only add to the length, so they match nothing
+  vectorize(tokens) {
+    const vector = {};
+    let length = 0;
+    tokens.forEach(token => {
+      const weight = this.idf[token] !== undefined ? this.idf[token] : this.unknownWeight;
+      vector[token] = (vector[token] || 0) + weight;
+    });
+    Object.values(vector).forEach(weight => { length += weight * weight; });
+
+    length = Math.sqrt(length);
+    if (length > 0) {
+      Object.keys(vector).forEach(token => { vector[token] /= length; });
+    }
+    return vector;
+  }
+
+  // Returns { intent, confidence, scores }; intent is 'clarify' when confidence is below the threshold
+  // Each intent scores the cosine similarity of its closest example
+  classify(text) {
+    if (!this.trained) {
+      return { intent: 'default', confidence: 0, scores: {} };
+    }
+
+    const vector = this.vectorize(this.tokenize(text));
+    const scores = {};
+    this.examples.forEach(example => {
+      let similarity = 0;
+      Object.entries(vector).forEach(([token, weight]) => {
+        similarity += weight * (example.vector[token] || 0);
+      });
+      scores[example.intent] = Math.max(scores[example.intent] || 0, similarity);
+    });
+
+    let intent = 'clarify';
+    let confidence = 0;
+    Object.entries(scores).forEach(([name, score]) => {
+      if (score > confidence) {
+        intent = name;
+        confidence = score;
+      }
+    });
+
+    return {
+      intent: confidence >= this.threshold ? intent : 'clarify',
+      confidence,
+      scores
+    };
+  }
+}
+
+// Create global classifier (not under Node, where tests require this file)
+if (typeof window !== 'undefined') {
+  window.intentClassifier = new IntentClassifier();
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IntentClassifier };
+}
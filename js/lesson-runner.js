@@ -0,0 +1,288 @@
+/**
+ * Lesson Runner for Korean Classroom VR
+ * Plays lesson scripts from data/lessons/<id>.json: blackboard, schedule and NPC prompts
+ *
+ * Lesson file:
+ *   id, title, description?
+ *   steps: [{ id?, type, ... }], run in order unless a step names the next one
+ *
+ * Step types:
+ *   board     { text }                            write on the blackboard
+ *   schedule  { items: [text], current? }         rewrite the schedule board, marking item `current`
+ *   say       { npc, text, reaction? }            an NPC speaks a line
+ *   ask       { id, npc, text, reaction?,         an NPC asks a question and waits for the learner
+ *               expect: [{ match, next?, reaction? }],   match is a case-insensitive regular expression
+ *               otherwise?: { next?, reaction? } }       used when no pattern matches (default: ask again)
+ *   wait      { seconds }
+ *   goto      { next }
+ *   end       { text? }                           finish, optionally writing on the blackboard
+ *
+ * Any step can set `next` to jump to the step with that id.
+ */
+
+const LESSON_STEP_TYPES = ['board', 'schedule', 'say', 'ask', 'wait', 'goto', 'end'];
+
+class LessonRunner {
+  constructor() {
+    this.lessons = [];
+    this.lesson = null;
+    this.stepIndex = 0;
+    this.running = false;
+    this.waiting = null;
+    this.runId = 0;
+  }
+
+  // Lesson from ?lesson=<id>; the picker is skipped when it is set
+  getRequestedLesson() {
+    const id = new URLSearchParams(window.location.search).get('lesson');
+    return id && /^[\w-]+$/.test(id) ? id : null;
+  }
+
+  // List of available lessons: [{ id, title, description }]
+  async loadIndex() {
+    const response = await fetch('data/lessons/index.json');
+    if (!response.ok) {
+      throw new Error(`Lesson list could not be loaded (${response.status})`);
+    }
+    const data = await response.json();
+    this.lessons = Array.isArray(data.lessons) ? data.lessons : [];
+    return this.lessons;
+  }
+
+  async load(id) {
+    const response = await fetch(`data/lessons/${id}.json`);
+    if (!response.ok) {
+      throw new Error(`Lesson "${id}" could not be loaded (${response.status})`);
+    }
+
+    const lesson = await response.json();
+    const errors = this.validate(lesson);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`Lesson ${id}: ${error}`));
+      throw new Error(`Lesson "${id}" has ${errors.length} problem(s): ${errors[0]}`);
+    }
+    return lesson;
+  }
+
+  // Returns a message for every problem; a lesson with problems is not run
+  validate(lesson) {
+    const errors = [];
+    if (!lesson || !Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+      return ['"steps" must be a non-empty array'];
+    }
+
+    const ids = new Set();
+    lesson.steps.forEach((step, index) => {
+      if (step?.id) {
+        if (ids.has(step.id)) errors.push(`steps[${index}]: duplicate id "${step.id}"`);
+        ids.add(step.id);
+      }
+    });
+
+    const checkNext = (label, next) => {
+      if (next !== undefined && !ids.has(next)) errors.push(`${label}: no step with id "${next}"`);
+    };
+
+    lesson.steps.forEach((step, index) => {
+      const label = `steps[${index}]${step?.id ? ` (${step.id})` : ''}`;
+      if (!step || !LESSON_STEP_TYPES.includes(step.type)) {
+        errors.push(`${label}: type must be one of ${LESSON_STEP_TYPES.join(', ')}`);
+        return;
+      }
+
+      if ((step.type === 'say' || step.type === 'ask') && !STUDENT_PERSONALITIES[step.npc]) {
+        errors.push(`${label}: unknown npc "${step.npc}"`);
+      }
+      if ((step.type === 'board' || step.type === 'say' || step.type === 'ask') && typeof step.text !== 'string') {
+        errors.push(`${label}: text is required`);
+      }
+      if (step.type === 'schedule' && !Array.isArray(step.items)) {
+        errors.push(`${label}: items must be an array`);
+      }
+      if (step.type === 'goto' && step.next === undefined) {
+        errors.push(`${label}: next is required`);
+      }
+      checkNext(label, step.next);
+
+      if (step.type === 'ask') {
+        if (!step.id) errors.push(`${label}: ask steps need an id so they can be repeated`);
+        if (!Array.isArray(step.expect) || step.expect.length === 0) {
+          errors.push(`${label}: expect must be a non-empty array`);
+        } else {
+          step.expect.forEach((branch, n) => {
+            try {
+              new RegExp(branch.match, 'i');
+            } catch (e) {
+              errors.push(`${label}: expect[${n}].match is not a valid pattern`);
+            }
+            checkNext(`${label} expect[${n}]`, branch.next);
+          });
+        }
+        checkNext(`${label} otherwise`, step.otherwise?.next);
+      }
+    });
+
+    return errors;
+  }
+
+  async start(id) {
+    const lesson = await this.load(id);
+    this.stop();
+
+    this.lesson = lesson;
+    this.stepIndex = 0;
+    this.running = true;
+    const runId = ++this.runId;
+
+    console.log(`Lesson started: ${lesson.title || id}`);
+    this.emit('lesson-started', { id, title: lesson.title });
+    this.run(runId);
+  }
+
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.runId++;
+    this.waiting = null;
+    this.emit('lesson-ended', { id: this.lesson?.id, completed: false });
+  }
+
+  async run(runId) {
+    const steps = this.lesson.steps;
+
+    while (this.running && runId === this.runId && this.stepIndex < steps.length) {
+      const step = steps[this.stepIndex];
+      this.emit('lesson-step', { id: this.lesson.id, index: this.stepIndex, step });
+
+      let next;
+      try {
+        next = await this.runStep(step);
+      } catch (error) {
+        console.error(`Lesson step ${this.stepIndex} failed:`, error);
+      }
+      if (runId !== this.runId) return;
+
+      if (step.type === 'end') break;
+      this.stepIndex = next !== undefined ? this.findStep(next) : this.stepIndex + 1;
+    }
+
+    if (runId === this.runId && this.running) {
+      this.running = false;
+      console.log(`Lesson finished: ${this.lesson.title || this.lesson.id}`);
+      this.emit('lesson-ended', { id: this.lesson.id, completed: true });
+    }
+  }
+
+  // Runs one step; resolves with the id of the step to go to, if it names one
+  async runStep(step) {
+    switch (step.type) {
+      case 'board':
+        this.setBoard(step.text);
+        return step.next;
+      case 'schedule':
+        this.setSchedule(step.items, step.current);
+        return step.next;
+      case 'say':
+        await this.say(step.npc, step.text, step.reaction);
+        return step.next;
+      case 'ask': {
+        await this.say(step.npc, step.text, step.reaction);
+        const branch = await this.waitForAnswer(step);
+        if (branch.reaction) window.npcManager?.triggerReaction(step.npc, branch.reaction);
+        // With no match and no "otherwise", the question is asked again
+        return branch.next !== undefined ? branch.next : (branch.matched ? step.next : step.id);
+      }
+      case 'wait':
+        await this.delay((step.seconds || 1) * 1000);
+        return step.next;
+      case 'goto':
+        return step.next;
+      case 'end':
+        if (step.text) this.setBoard(step.text);
+        return undefined;
+    }
+  }
+
+  findStep(id) {
+    const index = this.lesson.steps.findIndex(step => step.id === id);
+    return index === -1 ? this.lesson.steps.length : index;
+  }
+
+  setBoard(text) {
+    document.querySelector('#blackboard-text')?.setAttribute('value', text);
+  }
+
+  setSchedule(items, current) {
+    const lines = items.map((item, i) => `${i === current ? '> ' : ''}${i + 1}. ${item}`);
+    document.querySelector('#schedule-text')?.setAttribute(
+      'value',
+      ['Class Schedule', '시간표', '─────────', ...lines].join('\n')
+    );
+  }
+
+  // The NPC turns to the learner, speaks and reacts; resolves when the line has been spoken
+  async say(npcId, text, reaction) {
+    const aiChat = window.aiChat;
+    if (!aiChat) return;
+
+    if (aiChat.currentNPC?.id !== npcId) {
+      aiChat.startConversation(npcId, STUDENT_PERSONALITIES[npcId], { greet: false });
+    }
+    aiChat.sayLine(npcId, text);
+    if (reaction) window.npcManager?.triggerReaction(npcId, reaction);
+
+    await this.waitForSpeech();
+  }
+
+  // Resolves with the matching expect branch ({ ...branch, matched: true }) or the otherwise branch
+  waitForAnswer(step) {
+    return new Promise(resolve => {
+      this.waiting = { step, resolve };
+    });
+  }
+
+  // Called by AIChat.sendMessage() before anything else; returns true when the lesson used the input
+  handleInput(npcId, text) {
+    if (!this.running || !this.waiting || this.waiting.step.npc !== npcId) return false;
+
+    const { step, resolve } = this.waiting;
+    this.waiting = null;
+
+    const branch = step.expect.find(b => new RegExp(b.match, 'i').test(text.trim()));
+    this.emit('lesson-answer', {
+      id: this.lesson.id,
+      step: step.id,
+      npcId,
+      text,
+      matched: !!branch,
+      expected: step.expect.map(b => b.match)
+    });
+    resolve(branch ? { ...branch, matched: true } : { ...(step.otherwise || {}), matched: false });
+    return true;
+  }
+
+  async waitForSpeech(maxWait = 30000) {
+    const start = Date.now();
+    await this.delay(300);
+    while (window.aiChat?.isSpeaking && Date.now() - start < maxWait) {
+      await this.delay(200);
+    }
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  emit(name, detail) {
+    document.querySelector('a-scene')?.emit(name, detail);
+  }
+}
+
+// Create global lesson runner
+window.lessonRunner = new LessonRunner();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LessonRunner, LESSON_STEP_TYPES };
+}
@@ -0,0 +1,191 @@
+/**
+ * Lip Sync for Korean Classroom VR
+ * Moves each NPC's mouth while its voice plays. Mouth shapes (visemes) are estimated from the
+ * text being spoken; speechSynthesis word boundary events, when the voice sends them, keep the
+ * estimate in step with the audio.
+ */
+
+// Mouth opening (0-1) and width (1 = neutral) for each viseme
+const VISEMES = {
+  rest: { open: 0, width: 1 },
+  A: { open: 1, width: 1 },        // a, ya, wa
+  O: { open: 0.7, width: 0.8 },    // eo, o
+  U: { open: 0.35, width: 0.6 },   // u, w, oo
+  E: { open: 0.45, width: 1.25 },  // e, i, ae, eu
+  M: { open: 0, width: 0.95 },     // m, b, p: lips closed
+  F: { open: 0.15, width: 1.1 },   // f, v
+  C: { open: 0.25, width: 1 }      // other consonants
+};
+
+const KOREAN_VOWEL_VISEMES = {
+  'ㅏ': 'A', 'ㅑ': 'A', 'ㅘ': 'A', 'ㅓ': 'O', 'ㅕ': 'O', 'ㅝ': 'O', 'ㅗ': 'O', 'ㅛ': 'O',
+  'ㅜ': 'U', 'ㅠ': 'U', 'ㅚ': 'U', 'ㅟ': 'U', 'ㅡ': 'E', 'ㅢ': 'E', 'ㅣ': 'E',
+  'ㅐ': 'E', 'ㅔ': 'E', 'ㅒ': 'E', 'ㅖ': 'E', 'ㅙ': 'E', 'ㅞ': 'E'
+};
+const KOREAN_LIP_CONSONANTS = ['ㅁ', 'ㅂ', 'ㅃ', 'ㅍ'];
+
+const ENGLISH_VOWEL_VISEMES = { a: 'A', e: 'E', i: 'E', y: 'E', o: 'O', u: 'U' };
+
+// Frame lengths in ms at speech rate 1
+const VISEME_TIMING = {
+  lips: 60,
+  consonant: 45,
+  koreanVowel: 140,
+  englishVowel: 150,
+  space: 40,
+  comma: 200,
+  stop: 320
+};
+
+class LipSync {
+  constructor() {
+    // npcId -> { frames, duration, startedAt }
+    this.tracks = {};
+  }
+
+  // Timeline for a line: { frames: [{ time, duration, viseme, charIndex }], duration } in ms
+  estimate(text, rate = 1) {
+    const frames = [];
+    let time = 0;
+    const push = (viseme, duration, charIndex) => {
+      duration /= rate || 1;
+      frames.push({ time, duration, viseme, charIndex });
+      time += duration;
+    };
+
+    const chars = Array.from(text || '');
+    let index = 0;
+    chars.forEach((char, i) => {
+      const charIndex = index;
+      index += char.length;
+
+      if (Hangul.isSyllable(char)) {
+        const { initial, medial, final } = Hangul.decompose(char);
+        if (KOREAN_LIP_CONSONANTS.includes(initial)) push('M', VISEME_TIMING.lips, charIndex);
+        else if (initial !== 'ㅇ') push('C', VISEME_TIMING.consonant, charIndex);
+        push(KOREAN_VOWEL_VISEMES[medial] || 'A', VISEME_TIMING.koreanVowel, charIndex);
+        if (final && ['ㅁ', 'ㅂ', 'ㅍ', 'ㅄ', 'ㄻ', 'ㄼ', 'ㄿ'].includes(final)) push('M', VISEME_TIMING.lips, charIndex);
+        else if (final) push('C', VISEME_TIMING.consonant, charIndex);
+        return;
+      }
+
+      const lower = char.toLowerCase();
+      if (/[a-z]/.test(lower)) {
+        const previous = (chars[i - 1] || '').toLowerCase();
+        const nextChar = (chars[i + 1] || '').toLowerCase();
+        if (ENGLISH_VOWEL_VISEMES[lower] && !(lower === 'y' && !/[a-z]/.test(previous))) {
+          // One mouth shape per vowel group, and no shape for a silent final e
+          if (ENGLISH_VOWEL_VISEMES[previous]) return;
+          if (lower === 'e' && !/[a-z]/.test(nextChar) && /[a-z]{2}$/.test(chars.slice(Math.max(0, i - 2), i).join('').toLowerCase())) return;
+          push(ENGLISH_VOWEL_VISEMES[lower], VISEME_TIMING.englishVowel, charIndex);
+        } else if ('mbp'.includes(lower)) {
+          push('M', VISEME_TIMING.lips, charIndex);
+        } else if ('fv'.includes(lower)) {
+          push('F', VISEME_TIMING.lips, charIndex);
+        } else if (lower === 'w') {
+          push('U', VISEME_TIMING.consonant, charIndex);
+        } else {
+          push('C', VISEME_TIMING.consonant, charIndex);
+        }
+      } else if (/[0-9]/.test(char)) {
+        push('A', VISEME_TIMING.englishVowel, charIndex);
+        push('C', VISEME_TIMING.consonant, charIndex);
+      } else if (/[.!?…。]/.test(char)) {
+        push('rest', VISEME_TIMING.stop, charIndex);
+      } else if (/[,;:~-]/.test(char)) {
+        push('rest', VISEME_TIMING.comma, charIndex);
+      } else if (/\s/.test(char)) {
+        push('rest', VISEME_TIMING.space, charIndex);
+      }
+    });
+
+    return { frames, duration: time };
+  }
+
+  // Drive an NPC's mouth from an utterance; uses listeners so the speech code's own handlers stay in place
+  attach(utterance, npcId, text = utterance.text) {
+    if (!npcId) return;
+    const track = { ...this.estimate(text, utterance.rate), startedAt: null };
+
+    utterance.addEventListener('start', () => {
+      track.startedAt = performance.now();
+      this.tracks[npcId] = track;
+    });
+
+    // Jump the timeline to the word the voice has reached
+    utterance.addEventListener('boundary', (e) => {
+      if (track.startedAt === null || (e.name && e.name !== 'word')) return;
+      const frame = track.frames.find(f => f.charIndex >= e.charIndex);
+      if (frame) track.startedAt = performance.now() - frame.time;
+    });
+
+    const finish = () => {
+      if (this.tracks[npcId] === track) delete this.tracks[npcId];
+    };
+    utterance.addEventListener('end', finish);
+    utterance.addEventListener('error', finish);
+  }
+
+  // Drive an NPC's mouth from audio starting now; the estimate is stretched to the audio's length
+  start(npcId, text, duration) {
+    if (!npcId) return;
+    const track = this.estimate(text);
+    const scale = track.duration > 0 ? duration / track.duration : 1;
+
+    this.tracks[npcId] = {
+      frames: track.frames.map(f => ({ ...f, time: f.time * scale, duration: f.duration * scale })),
+      duration: track.duration * scale,
+      startedAt: performance.now()
+    };
+  }
+
+  stop(npcId) {
+    delete this.tracks[npcId];
+  }
+
+  // Current mouth shape { open, width } for an NPC
+  sample(npcId, now = performance.now()) {
+    const track = this.tracks[npcId];
+    if (!track || track.startedAt === null || track.frames.length === 0) return VISEMES.rest;
+
+    // A voice slower than the estimate keeps talking past its end, so the timeline wraps around
+    let t = now - track.startedAt;
+    if (t >= track.duration) t %= track.duration;
+
+    const frame = track.frames.find(f => t < f.time + f.duration) || track.frames[track.frames.length - 1];
+    return VISEMES[frame.viseme];
+  }
+}
+
+// Mouth on an NPC face: a dark oval that opens and widens with the current viseme
+AFRAME.registerComponent('npc-mouth', {
+  schema: {
+    npc: { type: 'string', default: '' },
+    // Hidden at rest (the face has its own smile)
+    hideAtRest: { type: 'boolean', default: false }
+  },
+
+  init: function () {
+    this.open = 0;
+    this.width = 1;
+  },
+
+  tick: function (time, delta) {
+    const shape = window.lipSync.sample(this.data.npc);
+    const t = Math.min(1, (delta || 16) / 60);
+    this.open += (shape.open - this.open) * t;
+    this.width += (shape.width - this.width) * t;
+
+    const object = this.el.object3D;
+    object.scale.set(this.width, 0.12 + this.open * 0.88, 1);
+    object.visible = !this.data.hideAtRest || this.open > 0.05;
+  }
+});
+
+// Create global lip sync
+window.lipSync = new LipSync();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LipSync, VISEMES };
+}
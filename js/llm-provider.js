@@ -0,0 +1,165 @@
+/**
+ * LLM Providers for Korean Classroom VR
+ * Pluggable chat backends used by AIChat.generateResponse()
+ */
+
+// Base provider - every backend implements this interface
+class LLMProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  // Resolves true when the backend can be reached
+  async isAvailable() {
+    return false;
+  }
+
+  // messages: [{ role: 'system' | 'user' | 'assistant', content }]
+  // Resolves with the reply text
+  async generate(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+}
+
+// OpenAI-compatible chat-completions backend
+// Works with OpenAI, llama.cpp server, Ollama, LM Studio or a local mock
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({
+      model: 'gpt-4o-mini',
+      temperature: 0.8,
+      maxTokens: 200,
+      timeout: 15000,   // until the reply starts, then between streamed chunks (ms)
+      ...config
+    });
+    this.name = 'openai-compatible';
+    this.baseURL = (this.config.baseURL || '').replace(/\/+$/, '');
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  async isAvailable() {
+    if (!this.baseURL) return false;
+
+    try {
+      // Any HTTP answer means the server is up; some local servers don't implement /models
+      const response = await fetchWithTimeout(`${this.baseURL}/models`, {
+        headers: this.getHeaders()
+      }, { timeout: 3000 });
+      return response.status < 500;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // options.onToken(token, textSoFar) enables streaming; options.signal cancels the request
+  async generate(messages, options = {}) {
+    const { onToken, signal } = options;
+    const stream = typeof onToken === 'function';
+
+    return fetchWithTimeout(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model: this.config.model,
+        messages,
+        temperature: this.config.temperature,
+        max_tokens: this.config.maxTokens,
+        stream
+      })
+    }, {
+      timeout: this.config.timeout,
+      signal,
+      read: (response, keepAlive) => this.readReply(response, onToken, keepAlive)
+    });
+  }
+
+  // Reply text from a chat-completions response, streamed when onToken is given
+  // keepAlive() is called for each streamed chunk, so a slow model isn't cut off while it still writes
+  async readReply(response, onToken, keepAlive = () => {}) {
+    if (!response.ok) {
+      throw new Error(`Chat completion failed with status ${response.status}`);
+    }
+
+    // Servers that ignore "stream" answer with plain JSON
+    const stream = typeof onToken === 'function';
+    const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+    if (stream && isEventStream && response.body) {
+      const text = await this.readStream(response, onToken, keepAlive);
+      if (!text) {
+        throw new Error('Chat completion returned an empty reply');
+      }
+      return text.trim();
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Chat completion returned an empty reply');
+    }
+    if (stream) onToken(content, content);
+    return content.trim();
+  }
+
+  // Read server-sent events ("data: {...}" lines) and report each content delta
+  async readStream(response, onToken, keepAlive = () => {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      keepAlive();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return text;
+
+        try {
+          const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (token) {
+            text += token;
+            onToken(token, text);
+          }
+        } catch (e) {
+          // Ignore keep-alive comments and malformed chunks
+        }
+      }
+    }
+
+    return text;
+  }
+}
+
+// Create a provider from a config object, or null when none is configured
+function createLLMProvider(config = {}) {
+  const type = config.provider || (config.baseURL ? 'openai' : null);
+
+  switch (type) {
+    case 'openai':
+      return new OpenAICompatibleProvider(config);
+    default:
+      return null;
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LLMProvider, OpenAICompatibleProvider, createLLMProvider };
+}
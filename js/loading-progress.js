@@ -0,0 +1,94 @@
+/**
+ * Loading Progress for Korean Classroom VR
+ * Drives the #loading-screen bar from the real startup work: scene textures, classroom data,
+ * the roster, the AI backend and the offline cache. The screen hides once every part is done.
+ */
+
+class LoadingProgress {
+  constructor() {
+    // part name -> fraction done (0-1)
+    this.parts = {};
+    this.hidden = false;
+  }
+
+  // Register the parts up front so the bar never moves backwards
+  expect(names) {
+    names.forEach(name => {
+      if (!(name in this.parts)) this.parts[name] = 0;
+    });
+    this.render();
+  }
+
+  set(name, fraction, status) {
+    this.parts[name] = Math.min(1, Math.max(0, fraction));
+    if (status) this.setStatus(status);
+    this.render();
+
+    if (Object.values(this.parts).every(value => value >= 1)) this.hide();
+  }
+
+  complete(name, status) {
+    this.set(name, 1, status);
+  }
+
+  setStatus(status) {
+    const loadingStatus = document.getElementById('loading-status');
+    if (loadingStatus && !this.hidden) loadingStatus.textContent = status;
+  }
+
+  render() {
+    const progressFill = document.getElementById('progress-fill');
+    const values = Object.values(this.parts);
+    if (!progressFill || values.length === 0) return;
+
+    const fraction = values.reduce((sum, value) => sum + value, 0) / values.length;
+    progressFill.style.width = `${Math.round(fraction * 100)}%`;
+  }
+
+  // Count the <a-assets> images as they arrive; a missing one is reported and skipped
+  trackAssets(assetsEl, name = 'assets') {
+    const images = Array.from(assetsEl?.querySelectorAll('img') || []);
+    if (images.length === 0) {
+      this.complete(name);
+      return;
+    }
+
+    let done = 0;
+    const settle = () => {
+      done++;
+      this.set(name, done / images.length, `Loading scene (${done}/${images.length})...`);
+    };
+
+    images.forEach(img => {
+      if (img.complete) {
+        if (img.naturalWidth === 0) console.warn('Scene asset missing:', img.src);
+        settle();
+        return;
+      }
+      img.addEventListener('load', settle, { once: true });
+      img.addEventListener('error', () => {
+        console.warn('Scene asset missing:', img.src);
+        settle();
+      }, { once: true });
+    });
+  }
+
+  hide() {
+    if (this.hidden) return;
+    this.setStatus('Ready!');
+    this.hidden = true;
+
+    const loadingScreen = document.getElementById('loading-screen');
+    if (loadingScreen) {
+      loadingScreen.classList.add('hidden');
+    }
+  }
+}
+
+// Create global loading progress
+window.loadingProgress = new LoadingProgress();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LoadingProgress };
+}
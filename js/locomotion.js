@@ -0,0 +1,364 @@
+/**
+ * Locomotion for Korean Classroom VR
+ * Walkable floor (navmesh) built from the classroom layout, teleport arc and snap turn on the
+ * right thumbstick, and a comfort vignette while moving. Thumbstick and keyboard movement from
+ * movement-controls is kept on the same navmesh.
+ */
+
+const ARC_SEGMENTS = 40;
+const ARC_GRAVITY = -9.8;
+const ARC_VALID_COLOR = '#4CC3D9';
+const ARC_INVALID_COLOR = '#f44336';
+const SNAP_TURN_ANGLES = [0, 30, 45];
+
+// Grid of walkable cells over the floor; a cell is blocked when the learner (a circle of
+// `radius`) standing on its centre would touch a wall or an obstacle
+class NavGrid {
+  constructor(bounds, obstacles, { cellSize = 0.2, radius = 0.25 } = {}) {
+    this.bounds = bounds;
+    this.cellSize = cellSize;
+    this.cols = Math.round((bounds.maxX - bounds.minX) / cellSize);
+    this.rows = Math.round((bounds.maxZ - bounds.minZ) / cellSize);
+    this.cells = new Uint8Array(this.cols * this.rows);
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const x = bounds.minX + (col + 0.5) * cellSize;
+        const z = bounds.minZ + (row + 0.5) * cellSize;
+        const insideWalls = x - radius >= bounds.minX && x + radius <= bounds.maxX &&
+                            z - radius >= bounds.minZ && z + radius <= bounds.maxZ;
+        const blocked = obstacles.some(o =>
+          x + radius > o.minX && x - radius < o.maxX && z + radius > o.minZ && z - radius < o.maxZ);
+        this.cells[row * this.cols + col] = insideWalls && !blocked ? 1 : 0;
+      }
+    }
+  }
+
+  isWalkable(x, z) {
+    const col = Math.floor((x - this.bounds.minX) / this.cellSize);
+    const row = Math.floor((z - this.bounds.minZ) / this.cellSize);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false;
+    return this.cells[row * this.cols + col] === 1;
+  }
+
+  // Centre of the walkable cell closest to (x, z), or null if nothing is walkable
+  nearestWalkable(x, z) {
+    let nearest = null;
+    let best = Infinity;
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (!this.cells[row * this.cols + col]) continue;
+        const cx = this.bounds.minX + (col + 0.5) * this.cellSize;
+        const cz = this.bounds.minZ + (row + 0.5) * this.cellSize;
+        const distance = (cx - x) ** 2 + (cz - z) ** 2;
+        if (distance < best) {
+          best = distance;
+          nearest = { x: cx, z: cz };
+        }
+      }
+    }
+    return nearest;
+  }
+
+  // Floor mesh of the walkable cells, with shared corners so the cells join up into one navmesh
+  createGeometry() {
+    const positions = [];
+    const indices = [];
+    const vertexIds = new Map();
+    const vertex = (col, row) => {
+      const key = row * (this.cols + 1) + col;
+      if (!vertexIds.has(key)) {
+        vertexIds.set(key, positions.length / 3);
+        positions.push(this.bounds.minX + col * this.cellSize, 0, this.bounds.minZ + row * this.cellSize);
+      }
+      return vertexIds.get(key);
+    };
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (!this.cells[row * this.cols + col]) continue;
+        const a = vertex(col, row);
+        const b = vertex(col + 1, row);
+        const c = vertex(col + 1, row + 1);
+        const d = vertex(col, row + 1);
+        // Counter-clockwise seen from above, so the faces point up
+        indices.push(a, d, c, a, c, b);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+}
+
+class Locomotion {
+  constructor() {
+    this.navGrid = null;
+    this.snapTurn = Settings.get('snapTurn', 30);
+    this.vignette = Settings.get('vignette', true);
+  }
+
+  // Build the navmesh from the classroom layout and hand it to movement-controls
+  start() {
+    const layout = window.classroomLayout;
+    this.navGrid = new NavGrid(layout.getBounds(), layout.getObstacles());
+
+    const navMeshEl = document.querySelector('#navmesh');
+    if (navMeshEl) {
+      const mesh = new THREE.Mesh(this.navGrid.createGeometry(), new THREE.MeshBasicMaterial());
+      mesh.visible = false;
+      navMeshEl.setAttribute('nav-mesh', '');
+      navMeshEl.setObject3D('mesh', mesh);
+    }
+  }
+
+  isWalkable(x, z) {
+    return !this.navGrid || this.navGrid.isWalkable(x, z);
+  }
+
+  nearestWalkable(x, z) {
+    return this.navGrid ? this.navGrid.nearestWalkable(x, z) : { x, z };
+  }
+
+  // Move the rig so the learner's head ends up over (x, z)
+  teleport(x, z) {
+    const rig = document.querySelector('#rig');
+    const camera = document.querySelector('#camera');
+    if (!rig || !camera) return;
+
+    const head = camera.object3D.getWorldPosition(new THREE.Vector3());
+    rig.object3D.position.x += x - head.x;
+    rig.object3D.position.z += z - head.z;
+    this.afterMove(rig, 'locomotion-teleported', { x, z });
+  }
+
+  // Turn the rig around the learner's head
+  turn(degrees) {
+    const rig = document.querySelector('#rig');
+    const camera = document.querySelector('#camera');
+    if (!rig || !camera) return;
+
+    const before = camera.object3D.getWorldPosition(new THREE.Vector3());
+    rig.object3D.rotation.y += THREE.MathUtils.degToRad(degrees);
+    rig.object3D.updateMatrixWorld(true);
+    const after = camera.object3D.getWorldPosition(new THREE.Vector3());
+    rig.object3D.position.x += before.x - after.x;
+    rig.object3D.position.z += before.z - after.z;
+    this.afterMove(rig, 'locomotion-turned', { degrees });
+  }
+
+  afterMove(rig, eventName, detail) {
+    // movement-controls remembers which navmesh node it was on; make it look again
+    rig.components['movement-controls']?.updateNavLocation?.();
+    rig.sceneEl.emit(eventName, detail);
+  }
+
+  setSnapTurn(degrees) {
+    this.snapTurn = degrees;
+    Settings.set('snapTurn', degrees);
+  }
+
+  setVignette(enabled) {
+    this.vignette = enabled;
+    Settings.set('vignette', enabled);
+  }
+}
+
+// Push the thumbstick forward to aim a parabolic arc at the floor; let go to teleport there
+AFRAME.registerComponent('teleport-arc', {
+  schema: {
+    speed: { type: 'number', default: 7 },
+    maxTime: { type: 'number', default: 2 }
+  },
+
+  init: function () {
+    this.aiming = false;
+    this.target = null;
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(
+      Array.from({ length: ARC_SEGMENTS }, () => new THREE.Vector3()));
+    this.line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: ARC_VALID_COLOR }));
+    this.line.frustumCulled = false;
+
+    this.marker = new THREE.Mesh(
+      new THREE.RingGeometry(0.15, 0.22, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: ARC_VALID_COLOR, transparent: true, opacity: 0.8 })
+    );
+
+    this.line.visible = false;
+    this.marker.visible = false;
+    this.el.sceneEl.object3D.add(this.line, this.marker);
+
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.el.addEventListener('thumbstickmoved', this.onThumbstick);
+  },
+
+  remove: function () {
+    this.el.removeEventListener('thumbstickmoved', this.onThumbstick);
+    this.el.sceneEl.object3D.remove(this.line, this.marker);
+  },
+
+  onThumbstick: function (e) {
+    const { x, y } = e.detail;
+    if (y < -0.7 && Math.abs(x) < 0.5) {
+      this.aiming = true;
+    } else if (this.aiming && Math.hypot(x, y) < 0.3) {
+      this.aiming = false;
+      this.line.visible = false;
+      this.marker.visible = false;
+      if (this.target) window.locomotion.teleport(this.target.x, this.target.z);
+      this.target = null;
+    }
+  },
+
+  tick: function () {
+    if (!this.aiming) return;
+
+    const object = this.el.object3D;
+    const origin = object.getWorldPosition(new THREE.Vector3());
+    const velocity = new THREE.Vector3(0, 0, -1)
+      .applyQuaternion(object.getWorldQuaternion(new THREE.Quaternion()))
+      .multiplyScalar(this.data.speed);
+
+    // Follow the parabola until it reaches the floor
+    const points = [];
+    const step = this.data.maxTime / (ARC_SEGMENTS - 1);
+    let landing = null;
+    let previous = origin;
+    for (let i = 0; i < ARC_SEGMENTS && !landing; i++) {
+      const t = i * step;
+      const point = new THREE.Vector3(
+        origin.x + velocity.x * t,
+        origin.y + velocity.y * t + 0.5 * ARC_GRAVITY * t * t,
+        origin.z + velocity.z * t
+      );
+      if (point.y <= 0) {
+        landing = previous.clone().lerp(point, previous.y / (previous.y - point.y));
+        landing.y = 0;
+        points.push(landing);
+      } else {
+        points.push(point);
+      }
+      previous = point;
+    }
+
+    const last = points[points.length - 1];
+    const positions = this.line.geometry.attributes.position;
+    for (let i = 0; i < ARC_SEGMENTS; i++) {
+      const point = points[i] || last;
+      positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+
+    this.target = landing && window.locomotion.isWalkable(landing.x, landing.z) ? landing : null;
+    const color = this.target ? ARC_VALID_COLOR : ARC_INVALID_COLOR;
+    this.line.material.color.set(color);
+    this.marker.material.color.set(color);
+    this.line.visible = true;
+    this.marker.visible = !!landing;
+    if (landing) this.marker.position.copy(landing).setY(0.01);
+  }
+});
+
+// Flick the thumbstick sideways to turn by the snap angle set in the menu
+AFRAME.registerComponent('snap-turn', {
+  init: function () {
+    this.armed = true;
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.el.addEventListener('thumbstickmoved', this.onThumbstick);
+  },
+
+  remove: function () {
+    this.el.removeEventListener('thumbstickmoved', this.onThumbstick);
+  },
+
+  onThumbstick: function (e) {
+    const { x, y } = e.detail;
+    if (Math.abs(x) < 0.3) {
+      this.armed = true;
+      return;
+    }
+
+    const angle = window.locomotion.snapTurn;
+    if (this.armed && angle > 0 && Math.abs(x) > 0.7 && Math.abs(y) < 0.5) {
+      this.armed = false;
+      window.locomotion.turn(x > 0 ? -angle : angle);
+    }
+  }
+});
+
+// Darkens the edge of view while the learner moves or turns, which eases motion sickness in VR
+AFRAME.registerComponent('comfort-vignette', {
+  init: function () {
+    this.opacity = 0;
+    this.pulse = 0;
+    this.lastPosition = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 256;
+    this.canvas.height = 256;
+    const ctx = this.canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(128, 128, 40, 128, 128, 128);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(0.6, 'rgba(0, 0, 0, 0.6)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 256, 256);
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    if ('colorSpace' in this.texture) {
+      this.texture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    this.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.5, 0.5),
+      new THREE.MeshBasicMaterial({
+        map: this.texture, transparent: true, opacity: 0, depthTest: false, depthWrite: false
+      })
+    );
+    this.mesh.position.set(0, 0, -0.12);
+    this.mesh.renderOrder = 999;
+    this.mesh.visible = false;
+    this.el.object3D.add(this.mesh);
+
+    // Teleports and snap turns are instant, so they get a short fade
+    this.onJump = () => { this.pulse = 250; };
+    this.el.sceneEl.addEventListener('locomotion-teleported', this.onJump);
+    this.el.sceneEl.addEventListener('locomotion-turned', this.onJump);
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener('locomotion-teleported', this.onJump);
+    this.el.sceneEl.removeEventListener('locomotion-turned', this.onJump);
+    this.el.object3D.remove(this.mesh);
+  },
+
+  tick: function (time, delta) {
+    const rig = document.querySelector('#rig');
+    if (!rig || !delta) return;
+
+    // Smooth movement shows as the rig travelling between frames
+    const position = rig.object3D.position;
+    const moving = this.lastPosition !== null && this.pulse <= 0 &&
+      this.lastPosition.distanceTo(position) / delta > 0.0003;
+    this.lastPosition = (this.lastPosition || new THREE.Vector3()).copy(position);
+    this.pulse -= delta;
+
+    const enabled = window.locomotion.vignette && this.el.sceneEl.is('vr-mode');
+    const target = enabled && (moving || this.pulse > 0) ? 1 : 0;
+    this.opacity += (target - this.opacity) * Math.min(1, delta / 100);
+    this.mesh.material.opacity = this.opacity;
+    this.mesh.visible = this.opacity > 0.01;
+  }
+});
+
+// Create global locomotion
+window.locomotion = new Locomotion();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NavGrid, Locomotion, SNAP_TURN_ANGLES };
+}
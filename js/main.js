@@ -6,6 +6,11 @@
 document.addEventListener('DOMContentLoaded', () => {
   console.log('Korean Classroom VR - Initializing...');
 
+  // Loading screen parts; the screen hides when all of them are done
+  window.loadingProgress.expect(['assets', 'data', 'roster', 'ai', 'offline']);
+  window.loadingProgress.trackAssets(document.querySelector('a-assets'));
+  window.offlineSupport.start();
+
   // Wait for A-Frame scene to load
   const scene = document.querySelector('a-scene');
 
@@ -19,6 +24,27 @@ document.addEventListener('DOMContentLoaded', () => {
 async function initializeApp() {
   console.log('A-Frame scene loaded, initializing app...');
 
+  // Glosses for the Korean annotations (optional) and smart-mode intents
+  window.loadingProgress.set('data', 0, 'Loading dictionary...');
+  await window.koreanDictionary.load();
+  window.loadingProgress.set('data', 0.5);
+  await window.intentClassifier.load();
+  window.loadingProgress.complete('data');
+  window.hangulAnnotations.init(document.getElementById('chat-messages'));
+
+  // Personal vocabulary deck, filled from conversations
+  window.vocabularyDeck.start();
+  window.vocabularyPanel.init();
+
+  // Desks and chairs from the classroom layout
+  window.classroomLayout.build(document.querySelector('#furniture'));
+
+  // Create the students from the classroom roster
+  await loadRoster();
+
+  // Positional NPC voices when a TTS server or clips are configured
+  window.spatialVoice.start();
+
   // Initialize AI chat system
   if (window.aiChat) {
     await window.aiChat.init();
@@ -30,15 +56,162 @@ async function initializeApp() {
   // Set up teleportation
   setupTeleportation();
 
+  // Empty chairs to sit on, and conversations started by walking up to a student
+  window.seating.start();
+  window.proximityConversation.start();
+
   // Add VR enter/exit handlers
   setupVRHandlers();
 
-  // Add ambient audio (optional)
-  // setupAmbientAudio();
+  // Populate the wrist menu
+  setupVRMenu();
+
+  // Report to teacher dashboards (dashboard.html) through the local relay, unless ?telemetry=off
+  window.sessionTelemetry.start();
+
+  // Let the teacher pick a lesson (or free conversation)
+  await setupLessons();
+
+  // Students chat among themselves when the learner is idle
+  window.classroomDirector.start();
+
+  // Share the classroom with others when a relay is configured
+  setupNetwork();
+
+  // Room sound, classroom noises and the school bell from the class schedule
+  window.ambientAudio.start();
+  if (await window.classSchedule.load()) {
+    window.classSchedule.start();
+  }
 
   console.log('Korean Classroom VR - Ready!');
 }
 
+async function loadRoster() {
+  window.loadingProgress.set('roster', 0, 'Loading students...');
+
+  try {
+    await window.classroomRoster.load();
+    window.classroomRoster.build(document.querySelector('#npcs'));
+  } catch (error) {
+    console.error('Failed to load roster:', error);
+    showErrorPanel('Roster problems', [error.message]);
+    return;
+  } finally {
+    window.loadingProgress.complete('roster');
+  }
+
+  if (window.classroomRoster.errors.length > 0) {
+    showErrorPanel('Roster problems', window.classroomRoster.errors, 'affected students were not added');
+  }
+}
+
+// List roster/lesson problems on screen so whoever edited the file sees them
+function showErrorPanel(title, errors, note) {
+  const panel = document.createElement('div');
+  panel.className = 'error-panel';
+  panel.title = 'Click to dismiss';
+
+  const heading = document.createElement('strong');
+  heading.textContent = `${title} (${errors.length})${note ? ` - ${note}` : ''}:`;
+  panel.appendChild(heading);
+
+  const list = document.createElement('ul');
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+
+  panel.addEventListener('click', () => panel.remove());
+  document.body.appendChild(panel);
+}
+
+async function setupLessons() {
+  const runner = window.lessonRunner;
+  const requested = runner.getRequestedLesson();
+
+  if (requested) {
+    await startLesson(requested);
+    return;
+  }
+
+  try {
+    await runner.loadIndex();
+  } catch (error) {
+    console.warn('No lessons available:', error.message);
+    return;
+  }
+  if (runner.lessons.length > 0) {
+    showLessonPicker(runner.lessons);
+  }
+}
+
+async function startLesson(id) {
+  try {
+    await window.lessonRunner.start(id);
+  } catch (error) {
+    console.error('Failed to start lesson:', error);
+    showErrorPanel('Lesson problems', [error.message]);
+  }
+}
+
+// Startup menu: one button per lesson, or free conversation
+function showLessonPicker(lessons) {
+  const picker = document.createElement('div');
+  picker.id = 'lesson-picker';
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'Choose a lesson';
+  picker.appendChild(heading);
+
+  const choose = (id) => {
+    picker.remove();
+    if (id) startLesson(id);
+  };
+
+  lessons.forEach(lesson => {
+    const button = document.createElement('button');
+    button.className = 'lesson-option';
+
+    const title = document.createElement('strong');
+    title.textContent = lesson.title || lesson.id;
+    button.appendChild(title);
+
+    if (lesson.description) {
+      const description = document.createElement('small');
+      description.textContent = lesson.description;
+      button.appendChild(description);
+    }
+
+    button.addEventListener('click', () => choose(lesson.id));
+    picker.appendChild(button);
+  });
+
+  const free = document.createElement('button');
+  free.className = 'lesson-option free';
+  free.textContent = 'Free conversation';
+  free.addEventListener('click', () => choose(null));
+  picker.appendChild(free);
+
+  document.body.appendChild(picker);
+}
+
+function setupNetwork() {
+  const scene = document.querySelector('a-scene');
+  const notify = (text) => window.aiChat?.addMessageToUI('system', text);
+
+  scene.addEventListener('network-connected', (e) => {
+    notify(`🌐 Joined the shared classroom (${e.detail.peers + 1} connected)`);
+  });
+  scene.addEventListener('network-disconnected', () => {
+    notify('🌐 Lost connection to the shared classroom, reconnecting...');
+  });
+
+  window.classroomNetwork.start();
+}
+
 function addInstructions() {
   const instructions = document.createElement('div');
   instructions.id = 'instructions';
@@ -57,17 +230,15 @@ function addInstructions() {
 }
 
 function setupTeleportation() {
-  const rig = document.querySelector('#rig');
+  // Walkable area for the teleport arc and movement-controls
+  window.locomotion.start();
+
   const teleportPoints = document.querySelectorAll('.teleport-point');
 
   teleportPoints.forEach(point => {
     point.addEventListener('click', () => {
       const position = point.getAttribute('position');
-      rig.setAttribute('position', {
-        x: position.x,
-        y: 0,
-        z: position.z
-      });
+      window.locomotion.teleport(position.x, position.z);
     });
 
     // Hover effects
@@ -89,11 +260,9 @@ function setupVRHandlers() {
   scene.addEventListener('enter-vr', () => {
     console.log('Entered VR mode');
 
-    // Hide 2D UI elements or adapt them for VR
+    // The 2D overlay can't be seen in the headset; vr-chat-panel shows the conversation instead
     const chatUI = document.getElementById('chat-ui');
     if (chatUI) {
-      // In VR, we might want to position the chat as a 3D panel
-      // For now, just hide it and use voice only
       chatUI.style.display = 'none';
     }
 
@@ -112,6 +281,110 @@ function setupVRHandlers() {
   });
 }
 
+function setupVRMenu() {
+  const scene = document.querySelector('a-scene');
+  const menu = document.querySelector('[vr-menu]')?.components['vr-menu'];
+  if (!menu || !window.aiChat) return;
+
+  // Three short pages instead of one panel taller than the arm it sits on
+  menu.addPage('talk', 'TALK');
+  menu.addPage('move', 'MOVE');
+  menu.addPage('more', 'MORE');
+
+  // Speaking language for the student being talked to
+  menu.addSection(
+    'language',
+    'Speaking language',
+    Object.keys(LANGUAGE_MODES).map(mode => ({ value: mode, label: mode.toUpperCase() })),
+    (mode) => window.aiChat.setLanguageMode(mode),
+    window.aiChat.getLanguageMode(),
+    'talk'
+  );
+
+  scene.addEventListener('language-mode-changed', (e) => {
+    menu.setSelected('language', e.detail.mode);
+  });
+
+  // Romanization/gloss under the name tags
+  menu.addSection(
+    'annotations',
+    'Romanization',
+    [{ value: true, label: 'ON' }, { value: false, label: 'OFF' }],
+    (enabled) => window.hangulAnnotations.setEnabled(enabled),
+    window.hangulAnnotations.enabled,
+    'talk'
+  );
+
+  scene.addEventListener('annotations-changed', (e) => {
+    menu.setSelected('annotations', e.detail.enabled);
+  });
+
+  // Comfort options for moving around in the headset
+  menu.addSection(
+    'snap-turn',
+    'Snap turn',
+    SNAP_TURN_ANGLES.map(angle => ({ value: angle, label: angle ? `${angle}°` : 'OFF' })),
+    (angle) => window.locomotion.setSnapTurn(angle),
+    window.locomotion.snapTurn,
+    'move'
+  );
+  menu.addSection(
+    'vignette',
+    'Comfort vignette',
+    [{ value: true, label: 'ON' }, { value: false, label: 'OFF' }],
+    (enabled) => window.locomotion.setVignette(enabled),
+    window.locomotion.vignette,
+    'move'
+  );
+
+  // Getting up from a chair without a thumbstick
+  menu.addSection(
+    'seat',
+    'Seat',
+    [{ value: 'stand', label: 'STAND UP' }],
+    () => {
+      window.seating.stand();
+      menu.setSelected('seat', null);
+    },
+    null,
+    'move'
+  );
+
+  // Classroom sounds; OFF mutes them
+  menu.addSection(
+    'ambient',
+    'Classroom sounds',
+    AMBIENT_VOLUME_LEVELS,
+    (level) => window.ambientAudio.setLevel(level),
+    window.ambientAudio.getLevel(),
+    'more'
+  );
+
+  scene.addEventListener('ambient-audio-changed', () => {
+    menu.setSelected('ambient', window.ambientAudio.getLevel());
+  });
+
+  // Looking at a student or button for a moment selects it (for hand tracking without controllers)
+  const cursor = document.querySelector('[gaze-dwell]');
+  if (cursor) {
+    // Saved as ON/OFF before the hands-only default existed
+    const saved = Settings.get('gazeDwell', 'hands');
+    const mode = saved === true ? 'hands' : saved === false ? 'off' : saved;
+    cursor.setAttribute('gaze-dwell', 'mode', mode);
+    menu.addSection(
+      'gaze-dwell',
+      'Gaze select',
+      [{ value: 'hands', label: 'HANDS' }, { value: 'on', label: 'ON' }, { value: 'off', label: 'OFF' }],
+      (mode) => {
+        cursor.setAttribute('gaze-dwell', 'mode', mode);
+        Settings.set('gazeDwell', mode);
+      },
+      mode,
+      'more'
+    );
+  }
+}
+
 function showVRInstructions() {
   // Create a 3D text panel with VR instructions
   const scene = document.querySelector('a-scene');
@@ -120,7 +393,7 @@ function showVRInstructions() {
   const vrInstructions = document.createElement('a-entity');
   vrInstructions.setAttribute('position', '0 1.6 -1');
   vrInstructions.setAttribute('text', {
-    value: 'Welcome to Korean Classroom VR!\n\nPoint at a student and click to talk\nUse controller trigger to interact\nPress menu to exit',
+    value: 'Welcome to Korean Classroom VR!\n\nPoint at a student and click to talk\nUse controller trigger to interact\nRight stick: push to teleport, flick to turn\nPress X for the menu\n\nHands only? Look at a student or pinch,\nraise your hand to speak,\nlook at your left wrist for the menu',
     align: 'center',
     width: 1.5,
     color: '#FFFFFF'
@@ -128,7 +401,7 @@ function showVRInstructions() {
   vrInstructions.setAttribute('geometry', {
     primitive: 'plane',
     width: 1.8,
-    height: 0.6
+    height: 1.05
   });
   vrInstructions.setAttribute('material', {
     color: '#1a1a2e',
@@ -151,21 +424,6 @@ function showVRInstructions() {
   }, 8000);
 }
 
-function setupAmbientAudio() {
-  // Optional: Add ambient classroom sounds
-  const scene = document.querySelector('a-scene');
-
-  const ambientSound = document.createElement('a-entity');
-  ambientSound.setAttribute('sound', {
-    src: 'url(assets/audio/classroom-ambient.mp3)',
-    autoplay: true,
-    loop: true,
-    volume: 0.3
-  });
-
-  scene.appendChild(ambientSound);
-}
-
 // Utility: Check WebXR support
 function checkVRSupport() {
   if (navigator.xr) {
@@ -195,13 +453,31 @@ document.addEventListener('touchmove', (e) => {
 // Export for debugging
 window.classroomVR = {
   teleportTo: (x, z) => {
-    const rig = document.querySelector('#rig');
-    rig.setAttribute('position', { x, y: 0, z });
+    window.locomotion.teleport(x, z);
   },
   talkTo: (npcId) => {
     const npc = window.npcManager?.getNPC(npcId);
     if (npc) {
       npc.onInteract();
     }
+  },
+  // Record hand joint poses for a few seconds and download them, for replaying with HandGestures.replay()
+  recordHandPoses: (seconds = 5) => {
+    const inputs = Array.from(document.querySelectorAll('[hand-gesture-input]'))
+      .map(el => el.components['hand-gesture-input']);
+    const frames = { left: [], right: [] };
+    inputs.forEach(input => { input.recorded = frames[input.data.hand]; });
+
+    return new Promise(resolve => setTimeout(() => {
+      inputs.forEach(input => { input.recorded = null; });
+
+      const blob = new Blob([JSON.stringify(frames)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `hand-poses-${Date.now()}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      resolve(frames);
+    }, seconds * 1000));
   }
 };
@@ -0,0 +1,414 @@
+/**
+ * Classroom Network for Korean Classroom VR
+ * Shares one classroom between a teacher and students: positions, who is talking to which NPC,
+ * NPC reactions and chat. Messages go through a Transport (js/transport.js), by default the
+ * WebSocket relay in server/relay.js.
+ *
+ * Settings: window.CLASSROOM_CONFIG.network < URL (?relay=ws://host:8081&room=<name>&role=teacher|student&name=<name>)
+ * Without a relay URL the classroom stays single-user. The relay only lets a teacher in with its
+ * teacher token (&token=<token>); without it they join as a student.
+ *
+ * NPC replies are generated by one client, the "owner": the teacher if one is connected, otherwise
+ * the peer with the lowest id. Every client works out the owner from the same peer list, so no
+ * election messages are needed. Other clients ask the owner for replies and fall back to their own
+ * generation if it does not answer.
+ */
+
+// Another person in the classroom: a simple head and body that glide to the last reported pose
+AFRAME.registerComponent('remote-avatar', {
+  schema: {
+    name: { type: 'string', default: '' },
+    role: { type: 'string', default: 'student' }
+  },
+
+  init: function () {
+    const color = this.data.role === 'teacher' ? '#C60C30' : '#4CC3D9';
+    this.target = null;
+
+    this.body = document.createElement('a-cylinder');
+    this.body.setAttribute('radius', 0.18);
+    this.body.setAttribute('height', 0.7);
+    this.body.setAttribute('color', color);
+    this.el.appendChild(this.body);
+
+    this.head = document.createElement('a-entity');
+    const face = document.createElement('a-sphere');
+    face.setAttribute('radius', 0.13);
+    face.setAttribute('color', '#F5D0B5');
+    this.head.appendChild(face);
+    // Visor shows which way they are looking
+    const visor = document.createElement('a-box');
+    visor.setAttribute('width', 0.2);
+    visor.setAttribute('height', 0.06);
+    visor.setAttribute('depth', 0.04);
+    visor.setAttribute('position', '0 0.02 -0.12');
+    visor.setAttribute('color', '#333333');
+    this.head.appendChild(visor);
+    this.el.appendChild(this.head);
+
+    this.nameTag = document.createElement('a-text');
+    this.nameTag.setAttribute('value', this.data.name);
+    this.nameTag.setAttribute('align', 'center');
+    this.nameTag.setAttribute('width', 2);
+    this.nameTag.setAttribute('color', color);
+    this.nameTag.setAttribute('look-at', '[camera]');
+    this.el.appendChild(this.nameTag);
+
+    this.el.object3D.visible = false;
+  },
+
+  // head: [x, y, z] world position of the headset; yaw in degrees
+  setPose: function (head, yaw) {
+    const first = !this.target;
+    this.target = { head: new THREE.Vector3(head[0], head[1], head[2]), yaw: THREE.MathUtils.degToRad(yaw) };
+    if (first) {
+      this.head.object3D.position.copy(this.target.head);
+      this.head.object3D.rotation.y = this.target.yaw;
+      this.el.object3D.visible = true;
+    }
+  },
+
+  tick: function (time, delta) {
+    if (!this.target) return;
+
+    const t = Math.min(1, (delta || 16) / 100);
+    const head = this.head.object3D;
+    head.position.lerp(this.target.head, t);
+
+    let turn = this.target.yaw - head.rotation.y;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+    head.rotation.y += turn * t;
+
+    // Body stands under the head; shorter when they sit down
+    const bodyHeight = Math.max(0.3, Math.min(0.9, head.position.y - 0.75));
+    this.body.object3D.position.set(head.position.x, head.position.y - 0.25 - bodyHeight / 2, head.position.z);
+    this.body.object3D.scale.y = bodyHeight / 0.7;
+    this.body.object3D.rotation.y = head.rotation.y;
+    this.nameTag.object3D.position.set(head.position.x, head.position.y + 0.3, head.position.z);
+  }
+});
+
+class ClassroomNetwork {
+  constructor() {
+    this.config = null;
+    this.transport = null;
+    this.peerId = null;
+    this.ownerId = null;
+    // peerId -> { role, name, avatar, activeNPC }
+    this.peers = new Map();
+    // requestId -> { resolve, reject, timer, ownerId }
+    this.pendingReplies = new Map();
+    this.requestCount = 0;
+    this.poseTimer = null;
+    this.lastPose = null;
+    this.lastPoseSent = 0;
+    this.avatarRoot = null;
+  }
+
+  getConfig() {
+    const config = {
+      role: 'student',
+      room: 'default',
+      name: '',
+      poseIntervalMs: 100,
+      replyTimeoutSeconds: 20,
+      ...(window.CLASSROOM_CONFIG?.network || {})
+    };
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('relay')) config.relayURL = params.get('relay');
+    ['room', 'role', 'name', 'token'].forEach(key => {
+      if (params.get(key)) config[key] = params.get(key);
+    });
+    config.role = config.role === 'teacher' ? 'teacher' : 'student';
+
+    return config;
+  }
+
+  // Connect when a relay is configured (or a transport is passed in); returns whether it started
+  start(transport) {
+    this.config = this.getConfig();
+    if (!transport && !this.config.relayURL) return false;
+
+    this.transport = transport || new WebSocketTransport(this.config.relayURL);
+    this.transport.onOpen = () => {
+      this.transport.send({
+        type: 'join', room: this.config.room, role: this.config.role, name: this.config.name, token: this.config.token
+      });
+    };
+    this.transport.onClose = () => this.onDisconnected();
+    this.transport.onMessage = (message) => this.handleMessage(message);
+
+    this.avatarRoot = document.querySelector('#remote-avatars');
+    this.bindSceneEvents();
+    this.placeRig();
+
+    this.transport.connect();
+    this.poseTimer = setInterval(() => this.sendPose(), this.config.poseIntervalMs);
+    console.log(`Classroom network: joining room "${this.config.room}" as ${this.config.role}`);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.poseTimer);
+    this.poseTimer = null;
+    this.transport?.close();
+    this.onDisconnected();
+  }
+
+  isConnected() {
+    return !!this.peerId && !!this.transport?.isOpen();
+  }
+
+  isOwner() {
+    return !this.isConnected() || this.ownerId === this.peerId;
+  }
+
+  // Ask the owner for replies only when there is someone else to ask
+  shouldDelegate() {
+    return this.isConnected() && !!this.ownerId && this.ownerId !== this.peerId;
+  }
+
+  // The teacher starts at the front of the room, facing the class
+  placeRig() {
+    const rig = document.querySelector('#rig');
+    if (rig && this.config.role === 'teacher') {
+      rig.setAttribute('position', '0 0 -2.5');
+      rig.setAttribute('rotation', '0 180 0');
+    }
+  }
+
+  send(message) {
+    return !!this.transport && this.transport.send(message);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.peerId = message.peerId;
+        if (message.role && message.role !== this.config.role) {
+          console.warn(`Classroom network: the relay refused the ${this.config.role} role (check the teacher token)`);
+          this.config.role = message.role;
+        }
+        this.peers.forEach((peer, peerId) => this.removePeer(peerId));
+        message.peers.forEach(peer => this.addPeer(peer));
+        this.electOwner();
+        this.lastPose = null;
+        this.emit('network-connected', { peerId: this.peerId, peers: message.peers.length, owner: this.isOwner() });
+        // Tell the people already here who we are talking to
+        this.sendActiveNPC();
+        break;
+
+      case 'peer-joined':
+        this.addPeer(message);
+        this.electOwner();
+        this.sendActiveNPC(message.peerId);
+        this.lastPose = null;
+        break;
+
+      case 'peer-left':
+        this.removePeer(message.peerId);
+        this.electOwner();
+        break;
+
+      case 'pose':
+        this.peers.get(message.from)?.avatar?.components['remote-avatar']?.setPose(message.head, message.yaw);
+        break;
+
+      case 'active-npc':
+        if (this.peers.has(message.from)) {
+          this.peers.get(message.from).activeNPC = message.npcId || null;
+          window.npcManager?.setRemoteActive(message.from, message.npcId || null);
+        }
+        break;
+
+      case 'reaction':
+        window.npcManager?.triggerReaction(message.npcId, message.reaction, { remote: true });
+        break;
+
+      case 'chat':
+        window.aiChat?.receiveRemoteMessage(message.npcId, message.message, this.peers.get(message.from));
+        break;
+
+      case 'reply-request':
+        this.answerReplyRequest(message);
+        break;
+
+      case 'reply':
+        this.settleReply(message);
+        break;
+    }
+  }
+
+  addPeer({ peerId, role, name }) {
+    let avatar = null;
+    if (this.avatarRoot) {
+      avatar = document.createElement('a-entity');
+      avatar.setAttribute('remote-avatar', { name, role });
+      this.avatarRoot.appendChild(avatar);
+    }
+    this.peers.set(peerId, { role, name, avatar, activeNPC: null });
+    this.emit('network-peers-changed', { peers: this.peers.size });
+  }
+
+  removePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    peer.avatar?.remove();
+    window.npcManager?.setRemoteActive(peerId, null);
+    this.peers.delete(peerId);
+
+    // Requests waiting on someone who left will never be answered
+    this.pendingReplies.forEach((pending, requestId) => {
+      if (pending.ownerId === peerId) {
+        this.settleReply({ requestId, error: 'NPC owner left' });
+      }
+    });
+    this.emit('network-peers-changed', { peers: this.peers.size });
+  }
+
+  // Same answer on every client: the teacher first, then the lowest peer id
+  electOwner() {
+    const candidates = [{ peerId: this.peerId, role: this.config.role }];
+    this.peers.forEach((peer, peerId) => candidates.push({ peerId, role: peer.role }));
+    candidates.sort((a, b) => {
+      const rank = (a.role === 'teacher' ? 0 : 1) - (b.role === 'teacher' ? 0 : 1);
+      return rank || (a.peerId < b.peerId ? -1 : 1);
+    });
+
+    const ownerId = candidates[0].peerId;
+    if (ownerId !== this.ownerId) {
+      this.ownerId = ownerId;
+      console.log(`Classroom network: NPC owner is ${ownerId === this.peerId ? 'this client' : ownerId}`);
+      this.emit('network-owner-changed', { ownerId, owner: this.isOwner() });
+    }
+  }
+
+  onDisconnected() {
+    if (!this.peerId) return;
+
+    this.peers.forEach((peer, peerId) => this.removePeer(peerId));
+    this.peerId = null;
+    this.ownerId = null;
+    this.emit('network-disconnected', {});
+  }
+
+  // Local changes go out; reactions that came in from the network (remote: true) are not echoed back
+  bindSceneEvents() {
+    const scene = document.querySelector('a-scene');
+    if (!scene) return;
+
+    scene.addEventListener('active-npc-changed', () => this.sendActiveNPC());
+    scene.addEventListener('npc-reaction', (e) => {
+      if (!e.detail.remote) this.send({ type: 'reaction', npcId: e.detail.npcId, reaction: e.detail.reaction });
+    });
+    scene.addEventListener('chat-message-recorded', (e) => {
+      this.send({ type: 'chat', npcId: e.detail.npcId, message: e.detail.message });
+    });
+  }
+
+  sendActiveNPC(to) {
+    if (!this.isConnected()) return;
+    const npcId = window.npcManager?.activeNPC || null;
+    this.send(to ? { type: 'active-npc', npcId, to } : { type: 'active-npc', npcId });
+  }
+
+  // Headset position and heading, sent when it changes (and once a second so newcomers see us)
+  sendPose() {
+    if (!this.isConnected() || this.peers.size === 0) return;
+
+    const camera = document.querySelector('#camera');
+    if (!camera) return;
+
+    const position = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+    camera.object3D.getWorldPosition(position);
+    camera.object3D.getWorldDirection(direction);
+
+    // Cameras look down -Z, so the heading is the reverse of getWorldDirection
+    const yaw = THREE.MathUtils.radToDeg(Math.atan2(-direction.x, -direction.z));
+    const head = [position.x, position.y, position.z].map(v => Math.round(v * 100) / 100);
+    const pose = `${head.join(',')},${Math.round(yaw)}`;
+
+    const now = Date.now();
+    if (pose === this.lastPose && now - this.lastPoseSent < 1000) return;
+
+    this.lastPose = pose;
+    this.lastPoseSent = now;
+    this.send({ type: 'pose', head, yaw: Math.round(yaw) });
+  }
+
+  // Resolves with the owner's reply text; rejects when it fails or takes too long
+  // turns: the asker's recent conversation with the NPC, which the owner answers instead of its own
+  requestReply(npcId, content, lang, turns = []) {
+    const requestId = `${this.peerId}-${++this.requestCount}`;
+    const ownerId = this.ownerId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.settleReply({ requestId, error: 'NPC owner did not answer in time' });
+      }, this.config.replyTimeoutSeconds * 1000);
+
+      this.pendingReplies.set(requestId, { resolve, reject, timer, ownerId });
+      if (!this.send({ type: 'reply-request', to: ownerId, requestId, npcId, content, lang, turns })) {
+        this.settleReply({ requestId, error: 'Not connected' });
+      }
+    });
+  }
+
+  settleReply({ requestId, content, error }) {
+    const pending = this.pendingReplies.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingReplies.delete(requestId);
+    if (error || typeof content !== 'string') {
+      pending.reject(new Error(error || 'Empty reply'));
+    } else {
+      pending.resolve(content);
+    }
+  }
+
+  // The owner generates the reply; the asking client records and broadcasts it like its own
+  async answerReplyRequest({ from, requestId, npcId, content, lang, turns }) {
+    const config = STUDENT_PERSONALITIES[npcId];
+    if (!this.isOwner() || !config || !window.aiChat) {
+      this.send({ type: 'reply', to: from, requestId, error: 'Not the NPC owner' });
+      return;
+    }
+    if (typeof content !== 'string') {
+      this.send({ type: 'reply', to: from, requestId, error: 'Nothing to reply to' });
+      return;
+    }
+
+    // The prompt is the asker's conversation, ending with what they just said
+    const prompt = (Array.isArray(turns) ? turns : [])
+      .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string')
+      .map(({ role, content }) => ({ role, content }));
+    const last = prompt[prompt.length - 1];
+    if (last?.role !== 'user' || last.content !== content) prompt.push({ role: 'user', content });
+
+    try {
+      const reply = await window.aiChat.getReply(npcId, config, content, { lang, delegate: false, turns: prompt });
+      this.send({ type: 'reply', to: from, requestId, content: reply });
+    } catch (error) {
+      this.send({ type: 'reply', to: from, requestId, error: error.message });
+    }
+  }
+
+  emit(name, detail) {
+    const scene = document.querySelector('a-scene');
+    if (scene) {
+      scene.emit(name, detail);
+    }
+  }
+}
+
+// Create global network (idle until start() finds a relay)
+window.classroomNetwork = new ClassroomNetwork();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ClassroomNetwork };
+}
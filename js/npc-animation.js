@@ -0,0 +1,213 @@
+/**
+ * NPC Animation for Korean Classroom VR
+ * Keyframe clips for NPC gestures, played by a per-NPC animator that npc-controller advances
+ * every tick. Clip values are offsets added on top of the idle pose.
+ */
+
+// Gesture clips: keys maps a channel to [time ms, value] keyframes
+// Channels: rotation.x/y/z and position.y of the body, blush (0-1 head tint), glasses (y offset)
+// A clip only plays over one of equal or lower priority; otherwise it waits its turn
+// requires names a part the NPC must have, with fallback played when it doesn't
+const NPC_CLIPS = {
+  nod: {
+    priority: 1,
+    keys: { 'rotation.x': [[0, 0], [200, -0.2], [350, 0.1], [500, 0]] }
+  },
+  shake: {
+    priority: 1,
+    keys: { 'rotation.y': [[0, 0], [100, 0.2], [300, -0.2], [400, 0]] }
+  },
+  excited: {
+    priority: 2,
+    keys: { 'position.y': [[0, 0], [200, 0.1], [400, 0]] }
+  },
+  blush: {
+    priority: 2,
+    keys: {
+      blush: [[0, 0], [300, 0.45], [1100, 0.45], [1500, 0]],
+      'rotation.x': [[0, 0], [250, 0.08], [1200, 0.08], [1600, 0]]
+    }
+  },
+  'look-away': {
+    priority: 2,
+    keys: { 'rotation.y': [[0, 0], [300, 0.6], [1000, 0.6], [1400, 0]] }
+  },
+  laugh: {
+    priority: 2,
+    keys: {
+      'rotation.x': [[0, 0], [150, -0.08], [660, -0.08], [860, 0]],
+      'position.y': [[0, 0], [100, 0.04], [220, 0], [320, 0.04], [440, 0], [540, 0.04], [660, 0]]
+    }
+  },
+  'adjust-glasses': {
+    priority: 2,
+    requires: 'glasses',
+    fallback: 'nod',
+    keys: {
+      glasses: [[0, 0], [150, -0.012], [450, 0]],
+      'rotation.x': [[0, 0], [150, 0.05], [550, 0]]
+    }
+  },
+  tilt: {
+    priority: 2,
+    keys: { 'rotation.z': [[0, 0], [250, 0.15], [1000, 0.15], [1350, 0]] }
+  }
+};
+
+// Reactions react() can play
+const NPC_REACTIONS = Object.keys(NPC_CLIPS);
+
+const CLIP_FADE_OUT = 150;
+const CLIP_QUEUE_LIMIT = 3;
+const BLUSH_COLOR = '#FF8C8C';
+
+class NPCAnimator {
+  constructor(el, clips = NPC_CLIPS) {
+    this.el = el;
+    this.clips = clips;
+    this.current = null;
+    this.fading = [];
+    this.queue = [];
+    this.headColor = null;
+    this.glassesY = null;
+  }
+
+  // Start a clip, interrupting one of equal or lower priority; returns false for unknown clips
+  play(name) {
+    let clip = this.clips[name];
+    if (clip?.requires && !this.hasPart(clip.requires)) {
+      name = clip.fallback;
+      clip = this.clips[name];
+    }
+    if (!clip) return false;
+
+    if (this.current && clip.priority < this.current.clip.priority) {
+      if (!this.queue.some(entry => entry.name === name)) {
+        this.queue.push({ name, clip });
+        this.queue.sort((a, b) => b.clip.priority - a.clip.priority);
+        this.queue.length = Math.min(this.queue.length, CLIP_QUEUE_LIMIT);
+      }
+      return true;
+    }
+
+    this.start(name, clip);
+    return true;
+  }
+
+  start(name, clip) {
+    if (this.current) {
+      this.fading.push({ ...this.current, fade: CLIP_FADE_OUT });
+    }
+    this.current = { name, clip, time: 0, duration: this.getDuration(clip) };
+  }
+
+  // Cancel everything, easing out of whatever is playing
+  stop() {
+    if (this.current) {
+      this.fading.push({ ...this.current, fade: CLIP_FADE_OUT });
+    }
+    this.current = null;
+    this.queue = [];
+  }
+
+  isPlaying(name) {
+    return name ? this.current?.name === name : !!this.current;
+  }
+
+  update(delta) {
+    // A long frame (tab switch) shouldn't skip a whole gesture
+    const dt = Math.min(delta || 0, 100);
+
+    this.fading.forEach(entry => {
+      entry.time += dt;
+      entry.fade -= dt;
+    });
+    this.fading = this.fading.filter(entry => entry.fade > 0);
+
+    if (this.current) {
+      this.current.time += dt;
+      if (this.current.time >= this.current.duration) {
+        this.current = null;
+      }
+    }
+    if (!this.current && this.queue.length > 0) {
+      const { name, clip } = this.queue.shift();
+      this.start(name, clip);
+    }
+  }
+
+  // Offsets of every channel, summed over the playing and fading clips
+  sample() {
+    const offsets = {};
+    const add = (entry, weight) => {
+      Object.entries(entry.clip.keys).forEach(([channel, keys]) => {
+        offsets[channel] = (offsets[channel] || 0) + this.interpolate(keys, entry.time) * weight;
+      });
+    };
+
+    if (this.current) add(this.current, 1);
+    this.fading.forEach(entry => add(entry, entry.fade / CLIP_FADE_OUT));
+    return offsets;
+  }
+
+  // Add the clip offsets to an idle pose ({ 'rotation.x': value, ... }) and drive the face parts
+  apply(pose) {
+    const offsets = this.sample();
+    Object.keys(pose).forEach(channel => {
+      pose[channel] += offsets[channel] || 0;
+    });
+
+    if (offsets.blush !== undefined || this.headColor) {
+      this.applyBlush(offsets.blush || 0);
+    }
+    if (offsets.glasses !== undefined || this.glassesY) {
+      this.applyGlasses(offsets.glasses || 0);
+    }
+    return pose;
+  }
+
+  applyBlush(amount) {
+    const mesh = this.el.querySelector('.npc-head')?.getObject3D('mesh');
+    if (!mesh) return;
+
+    this.headColor = this.headColor || mesh.material.color.clone();
+    mesh.material.color.copy(this.headColor).lerp(new THREE.Color(BLUSH_COLOR), amount);
+    if (amount === 0) this.headColor = null;
+  }
+
+  applyGlasses(offset) {
+    const glasses = Array.from(this.el.querySelectorAll('.npc-glasses'));
+    this.glassesY = this.glassesY || glasses.map(el => el.object3D.position.y);
+    glasses.forEach((el, i) => {
+      el.object3D.position.y = this.glassesY[i] + offset;
+    });
+    if (offset === 0) this.glassesY = null;
+  }
+
+  hasPart(part) {
+    return !!this.el.querySelector(`.npc-${part}`);
+  }
+
+  getDuration(clip) {
+    return Math.max(...Object.values(clip.keys).map(keys => keys[keys.length - 1][0]));
+  }
+
+  // Value of a keyframe track at a time, eased between keyframes
+  interpolate(keys, time) {
+    if (time <= keys[0][0]) return keys[0][1];
+    for (let i = 1; i < keys.length; i++) {
+      const [t1, v1] = keys[i];
+      if (time < t1) {
+        const [t0, v0] = keys[i - 1];
+        const t = (time - t0) / (t1 - t0);
+        return v0 + (v1 - v0) * t * t * (3 - 2 * t);
+      }
+    }
+    return keys[keys.length - 1][1];
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NPCAnimator, NPC_CLIPS, NPC_REACTIONS };
+}
@@ -3,91 +3,34 @@
  * Handles NPC behaviors, animations, and interactions
  */
 
-// Student personality configurations
-const STUDENT_PERSONALITIES = {
-  'minjun': {
-    name: 'Min-jun',
-    nameKorean: '민준',
-    personality: 'class-president',
-    systemPrompt: `You are Min-jun (민준), the class president of a Korean high school classroom. You are:
-- Eager, responsible, and helpful
-- Always formal and polite (use formal Korean speech patterns translated to English)
-- Quick to raise your hand and answer questions
-- Supportive of the teacher and classmates
-- Organized and punctual
-
-You speak with enthusiasm but remain respectful. You sometimes use Korean words like "네" (yes), "선생님" (teacher), and "감사합니다" (thank you).
-Keep responses natural, 1-3 sentences. You're sitting at your desk in the front-left of the classroom.`,
-    idleAnimation: 'attentive',
-    color: '#1E3A5F'
-  },
-  'sooyeon': {
-    name: 'Soo-yeon',
-    nameKorean: '수연',
-    personality: 'shy-artistic',
-    systemPrompt: `You are Soo-yeon (수연), a shy and artistic student in a Korean high school classroom. You are:
-- Quiet and soft-spoken, often hesitant at first
-- Creative and imaginative, love drawing and art
-- A daydreamer who often looks out the window
-- Kind-hearted but takes time to open up
-- Thoughtful with your words
-
-You speak softly and sometimes pause mid-sentence. You occasionally mention your drawings or things you see outside.
-Keep responses gentle and brief, 1-2 sentences. You're sitting near the window and sometimes seem distracted by something outside.`,
-    idleAnimation: 'daydream',
-    color: '#FFB6C1'
-  },
-  'jihoon': {
-    name: 'Ji-hoon',
-    nameKorean: '지훈',
-    personality: 'class-clown',
-    systemPrompt: `You are Ji-hoon (지훈), the class clown of a Korean high school classroom. You are:
-- Funny and friendly, always trying to make people laugh
-- Informal and casual in your speech
-- Creative with jokes and wordplay
-- Actually smart but hides it behind humor
-- Loyal friend who lightens the mood
-
-You often make jokes, use casual speech, and try to be entertaining. You might make Korean puns or reference K-pop.
-Keep responses fun and playful, 1-3 sentences. You're sitting in the back and sometimes get in trouble for talking.`,
-    idleAnimation: 'restless',
-    color: '#32CD32'
-  },
-  'yuna': {
-    name: 'Yuna',
-    nameKorean: '유나',
-    personality: 'studious',
-    systemPrompt: `You are Yuna (유나), a studious and competitive student in a Korean high school classroom. You are:
-- Serious about academics, always studying
-- Competitive but fair
-- Wearing glasses, always has a notebook ready
-- Precise and factual in your answers
-- A bit stressed about grades
-
-You speak matter-of-factly and often reference studying or tests. You might mention preparing for the 수능 (suneung - college entrance exam).
-Keep responses focused and informative, 1-2 sentences. You're constantly taking notes and might seem a bit stressed.`,
-    idleAnimation: 'writing',
-    color: '#9370DB'
-  }
-};
+// Student personality configurations, keyed by id
+// Filled from the classroom roster (data/rosters/*.json) at startup, see roster.js
+const STUDENT_PERSONALITIES = {};
 
 // A-Frame component for NPC controller
 AFRAME.registerComponent('npc-controller', {
   schema: {
+    id: { type: 'string', default: '' },
     name: { type: 'string', default: '' },
     personality: { type: 'string', default: '' }
   },
 
   init: function () {
-    this.npcId = this.data.name.toLowerCase().replace(/[^a-z]/g, '');
+    this.npcId = this.data.id || this.data.name.toLowerCase().replace(/[^a-z]/g, '');
     this.config = STUDENT_PERSONALITIES[this.npcId];
     this.isActive = false;
     this.lookingAtCamera = false;
+    this.facingLearner = false;
     this.idleTime = 0;
     this.blinkTime = 0;
+    this.nextBlink = 2000 + Math.random() * 4000;
+    this.gazeTarget = null;
+    this.gazeUntil = 0;
 
     // Get body parts for animation
     this.body = this.el.querySelector('.npc-body');
+    this.eyes = Array.from(this.el.querySelectorAll('.npc-eye'));
+    this.animator = new NPCAnimator(this.el);
 
     // Set up click/interaction listener
     this.el.addEventListener('click', this.onInteract.bind(this));
@@ -109,56 +52,151 @@ AFRAME.registerComponent('npc-controller', {
     this.idleTime += delta;
     this.blinkTime += delta;
 
-    // Subtle idle movement
     if (this.body) {
-      const idleOffset = Math.sin(this.idleTime * 0.001) * 0.01;
-      // Subtle breathing/movement
-      this.body.object3D.position.y = 0 + idleOffset;
-
-      // Personality-specific animations
-      switch (this.config.idleAnimation) {
-        case 'attentive':
-          // Min-jun: Slight forward lean
-          this.body.object3D.rotation.x = Math.sin(this.idleTime * 0.0005) * 0.02;
-          break;
-        case 'daydream':
-          // Soo-yeon: Looking toward window occasionally
-          if (!this.isActive) {
-            this.body.object3D.rotation.y = Math.sin(this.idleTime * 0.0003) * 0.3 - 0.2;
-          }
-          break;
-        case 'restless':
-          // Ji-hoon: More movement
-          this.body.object3D.rotation.y = Math.sin(this.idleTime * 0.002) * 0.1;
-          this.body.object3D.rotation.z = Math.sin(this.idleTime * 0.001) * 0.02;
-          break;
-        case 'writing':
-          // Yuna: Head down, occasional look up
-          const writePhase = (this.idleTime * 0.001) % 10;
-          if (writePhase < 8) {
-            this.body.object3D.rotation.x = 0.1; // Looking down at notes
-          } else {
-            this.body.object3D.rotation.x = -0.05; // Looking up briefly
-          }
-          break;
+      const pose = this.getIdlePose();
+
+      // Look at camera when active, or when the learner sits down nearby
+      this.facingLearner = this.isActive || !!window.seating?.isSeatedNear(this.el);
+      if (this.facingLearner) {
+        const camera = document.querySelector('#camera');
+        if (camera) {
+          const cameraPos = new THREE.Vector3();
+          camera.object3D.getWorldPosition(cameraPos);
+
+          const npcPos = new THREE.Vector3();
+          this.el.object3D.getWorldPosition(npcPos);
+
+          // Calculate angle to look at camera (faces point along +z)
+          pose['rotation.y'] = Math.atan2(cameraPos.x - npcPos.x, cameraPos.z - npcPos.z);
+        }
       }
+
+      // Gestures play on top of the idle pose
+      this.animator.update(delta);
+      this.animator.apply(pose);
+
+      const body = this.body.object3D;
+      body.position.y = pose['position.y'];
+      body.rotation.set(pose['rotation.x'], pose['rotation.y'], pose['rotation.z']);
     }
 
-    // Look at camera when active
-    if (this.isActive && this.body) {
-      const camera = document.querySelector('#camera');
-      if (camera) {
-        const cameraPos = new THREE.Vector3();
-        camera.object3D.getWorldPosition(cameraPos);
+    this.updateEyes(time, delta);
+  },
+
+  // Body pose for the personality's idle animation at the current idle time
+  getIdlePose: function () {
+    const pose = {
+      // Subtle breathing/movement
+      'position.y': Math.sin(this.idleTime * 0.001) * 0.01,
+      'rotation.x': 0,
+      'rotation.y': 0,
+      'rotation.z': 0
+    };
 
-        const npcPos = new THREE.Vector3();
-        this.el.object3D.getWorldPosition(npcPos);
+    switch (this.config.idleAnimation) {
+      case 'attentive':
+        // Min-jun: Slight forward lean
+        pose['rotation.x'] = Math.sin(this.idleTime * 0.0005) * 0.02;
+        break;
+      case 'daydream':
+        // Soo-yeon: Looking toward window occasionally
+        pose['rotation.y'] = Math.sin(this.idleTime * 0.0003) * 0.3 - 0.2;
+        break;
+      case 'restless':
+        // Ji-hoon: More movement
+        pose['rotation.y'] = Math.sin(this.idleTime * 0.002) * 0.1;
+        pose['rotation.z'] = Math.sin(this.idleTime * 0.001) * 0.02;
+        break;
+      case 'writing':
+        // Yuna: Head down, occasional look up
+        pose['rotation.x'] = this.isWriting()
+          ? 0.1 // Looking down at notes
+          : -0.05; // Looking up briefly
+        break;
+    }
 
-        // Calculate angle to look at camera
-        const angle = Math.atan2(cameraPos.x - npcPos.x, cameraPos.z - npcPos.z);
-        this.body.object3D.rotation.y = angle + Math.PI;
+    return pose;
+  },
+
+  // True while the writing idle has the head down over the notes (ambient-audio.js plays pencil strokes then)
+  isWriting: function () {
+    return this.config?.idleAnimation === 'writing' && (this.idleTime * 0.001) % 10 < 8;
+  },
+
+  // Blinking and eye gaze
+  updateEyes: function (time, delta) {
+    if (this.eyes.length === 0) return;
+
+    // Remember where the eyes sit on the face before moving them
+    if (!this.eyeBase) {
+      this.eyeBase = this.eyes.map(eye => eye.object3D.position.clone());
+      this.gazeOffset = new THREE.Vector2();
+    }
+
+    // Blink for ~150ms every few seconds
+    if (this.blinkTime > this.nextBlink + 150) {
+      this.blinkTime = 0;
+      this.nextBlink = 2000 + Math.random() * 4000;
+    }
+    const eyeOpen = this.blinkTime > this.nextBlink ? 0.1 : 1;
+
+    // Shift the eyes toward the gaze target, within the face
+    const target = this.getGazeTarget(time);
+    let x = 0;
+    let y = 0;
+    if (target) {
+      const local = this.body.object3D.worldToLocal(target.clone());
+      local.y -= this.eyeBase[0].y;
+      if (local.z > 0) {
+        local.normalize();
+        x = local.x * 0.015;
+        y = local.y * 0.01;
       }
     }
+    const t = Math.min(1, delta / 120);
+    this.gazeOffset.x += (x - this.gazeOffset.x) * t;
+    this.gazeOffset.y += (y - this.gazeOffset.y) * t;
+
+    this.eyes.forEach((eye, i) => {
+      const base = this.eyeBase[i];
+      eye.object3D.position.set(base.x + this.gazeOffset.x, base.y + this.gazeOffset.y, base.z);
+      eye.object3D.scale.y = eyeOpen;
+    });
+  },
+
+  // World position to look at: a classmate who is talking, the learner, or straight ahead
+  getGazeTarget: function (time) {
+    const manager = window.npcManager;
+    const speaker = manager && [...manager.speaking].find(id => id !== this.npcId && manager.getNPC(id));
+    if (speaker) return this.getHeadPosition(manager.getNPC(speaker).el);
+
+    // While talking, glance around at classmates now and then
+    if (manager?.isSpeaking(this.npcId)) {
+      if (time > this.gazeUntil) {
+        const classmates = Object.keys(manager.getAllNPCs()).filter(id => id !== this.npcId);
+        this.gazeTarget = Math.random() < 0.3 && classmates.length > 0
+          ? classmates[Math.floor(Math.random() * classmates.length)]
+          : null;
+        this.gazeUntil = time + 1000 + Math.random() * 2000;
+      }
+      const classmate = this.gazeTarget && manager.getNPC(this.gazeTarget);
+      if (classmate) return this.getHeadPosition(classmate.el);
+      return this.getLearnerPosition();
+    }
+
+    return this.facingLearner ? this.getLearnerPosition() : null;
+  },
+
+  getLearnerPosition: function () {
+    const camera = document.querySelector('#camera');
+    if (!camera) return null;
+    return camera.object3D.getWorldPosition(new THREE.Vector3());
+  },
+
+  getHeadPosition: function (el) {
+    const position = el.object3D.getWorldPosition(new THREE.Vector3());
+    position.y += 0.85;
+    return position;
   },
 
   onInteract: function (event) {
@@ -179,7 +217,7 @@ AFRAME.registerComponent('npc-controller', {
   },
 
   onHoverEnd: function (event) {
-    if (!this.isActive) {
+    if (!this.isActive && !window.npcManager?.isRemoteActive(this.npcId)) {
       this.el.setAttribute('scale', '1 1 1');
     }
     document.body.style.cursor = 'default';
@@ -193,7 +231,9 @@ AFRAME.registerComponent('npc-controller', {
       // Add highlight effect
       this.el.classList.add('npc-highlight');
     } else {
-      this.el.setAttribute('scale', '1 1 1');
+      // Stay raised while someone else in a shared classroom is talking to this NPC
+      const busy = window.npcManager?.isRemoteActive(this.npcId);
+      this.el.setAttribute('scale', busy ? '1.05 1.05 1.05' : '1 1 1');
       this.el.classList.remove('npc-highlight');
     }
   },
@@ -202,52 +242,11 @@ AFRAME.registerComponent('npc-controller', {
     return this.config;
   },
 
-  // Play reaction animation
+  // Play reaction animation (a clip from NPC_CLIPS)
   react: function (type) {
-    if (!this.body) return;
-
-    switch (type) {
-      case 'nod':
-        // Nodding animation
-        this.animateProperty(this.body.object3D.rotation, 'x', 0, -0.2, 200);
-        setTimeout(() => {
-          this.animateProperty(this.body.object3D.rotation, 'x', -0.2, 0.1, 150);
-        }, 200);
-        setTimeout(() => {
-          this.animateProperty(this.body.object3D.rotation, 'x', 0.1, 0, 150);
-        }, 350);
-        break;
-      case 'shake':
-        // Head shake
-        this.animateProperty(this.body.object3D.rotation, 'y', 0, 0.2, 100);
-        setTimeout(() => this.animateProperty(this.body.object3D.rotation, 'y', 0.2, -0.2, 200), 100);
-        setTimeout(() => this.animateProperty(this.body.object3D.rotation, 'y', -0.2, 0, 100), 300);
-        break;
-      case 'excited':
-        // Bounce up
-        const origY = this.body.object3D.position.y;
-        this.animateProperty(this.body.object3D.position, 'y', origY, origY + 0.1, 200);
-        setTimeout(() => this.animateProperty(this.body.object3D.position, 'y', origY + 0.1, origY, 200), 200);
-        break;
+    if (!this.animator.play(type)) {
+      console.warn(`Unknown NPC reaction: ${type}`);
     }
-  },
-
-  // Simple property animation helper
-  animateProperty: function (obj, prop, from, to, duration) {
-    const startTime = performance.now();
-    const animate = () => {
-      const elapsed = performance.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      obj[prop] = from + (to - from) * this.easeOutQuad(progress);
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
-    animate();
-  },
-
-  easeOutQuad: function (t) {
-    return t * (2 - t);
   }
 });
 
@@ -272,6 +271,10 @@ class NPCManager {
   constructor() {
     this.npcs = {};
     this.activeNPC = null;
+    // NPCs whose voice is playing right now (conversation replies and ambient lines)
+    this.speaking = new Set();
+    // NPCs other people in a shared classroom are talking to: peerId -> npcId
+    this.remoteActive = new Map();
   }
 
   registerNPC(id, controller) {
@@ -294,6 +297,30 @@ class NPCManager {
     if (id && this.npcs[id]) {
       this.npcs[id].setActive(true);
     }
+
+    this.emitSceneEvent('active-npc-changed', { npcId: id });
+  }
+
+  // Highlight an NPC someone else is talking to (npcId null when they stop)
+  setRemoteActive(peerId, npcId) {
+    const previous = this.remoteActive.get(peerId);
+    if (npcId) {
+      this.remoteActive.set(peerId, npcId);
+    } else {
+      this.remoteActive.delete(peerId);
+    }
+
+    [previous, npcId].forEach(id => {
+      const npc = id && this.npcs[id];
+      if (!npc || npc.isActive) return;
+      const busy = this.isRemoteActive(id);
+      npc.el.setAttribute('scale', busy ? '1.05 1.05 1.05' : '1 1 1');
+      npc.el.classList.toggle('npc-remote-active', busy);
+    });
+  }
+
+  isRemoteActive(id) {
+    return Array.from(this.remoteActive.values()).includes(id);
   }
 
   getActiveNPC() {
@@ -304,12 +331,34 @@ class NPCManager {
     return this.npcs;
   }
 
-  // Make NPC react
-  triggerReaction(id, type) {
+  // Make NPC react; options.remote marks reactions that came from another client
+  triggerReaction(id, type, { remote = false } = {}) {
     if (this.npcs[id]) {
       this.npcs[id].react(type);
+      this.emitSceneEvent('npc-reaction', { npcId: id, reaction: type, remote });
     }
   }
+
+  setSpeaking(id, speaking) {
+    if (!id) return;
+    if (speaking) {
+      this.speaking.add(id);
+    } else {
+      this.speaking.delete(id);
+      // Cancelled speech may never send its end event, so close the mouth here too
+      window.lipSync?.stop(id);
+    }
+    this.emitSceneEvent('npc-speaking-changed', { npcId: id, speaking });
+  }
+
+  isSpeaking(id) {
+    return id ? this.speaking.has(id) : this.speaking.size > 0;
+  }
+
+  emitSceneEvent(name, detail) {
+    const scene = document.querySelector('a-scene');
+    if (scene) scene.emit(name, detail);
+  }
 }
 
 // Create global NPC manager
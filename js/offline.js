@@ -0,0 +1,89 @@
+/**
+ * Offline Support for Korean Classroom VR
+ * Registers the service worker (sw.js) that precaches the app for poor classroom Wi-Fi, shows its
+ * progress on the loading screen, and checks optional assets before they are requested.
+ */
+
+class OfflineSupport {
+  constructor() {
+    this.registration = null;
+    this.failed = [];
+    this.assets = {};
+    this.timer = null;
+  }
+
+  // Precache progress goes to loadingProgress part 'offline'
+  start() {
+    const progress = window.loadingProgress;
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+      progress.complete('offline');
+      return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', (e) => this.onMessage(e.data));
+
+    // Never hold the classroom back for the cache; it keeps filling in the background
+    this.timer = setTimeout(() => progress.complete('offline'), 20000);
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      this.registration = registration;
+      if (registration.installing) return;
+
+      // Installed on an earlier visit: ask which files, if any, are still missing
+      if (registration.active) {
+        registration.active.postMessage({ type: 'precache-status' });
+      } else {
+        this.finish([]);
+      }
+    }).catch(error => {
+      console.warn('Offline mode unavailable:', error.message);
+      this.finish([]);
+    });
+  }
+
+  onMessage(data) {
+    if (data?.type === 'precache-progress') {
+      window.loadingProgress.set('offline', data.done / data.total,
+        `Saving for offline use (${data.done}/${data.total})...`);
+    } else if (data?.type === 'precache-complete') {
+      this.finish(data.failed || []);
+    }
+  }
+
+  finish(failed) {
+    clearTimeout(this.timer);
+    this.failed = failed;
+    if (failed.length > 0) {
+      console.warn('Not available offline:', failed);
+    }
+    window.loadingProgress.complete('offline');
+  }
+
+  // Resolves true when an optional asset (audio, clips) exists, so a missing file is skipped
+  // instead of failing where it is used. Each URL is checked once.
+  hasAsset(url) {
+    const href = new URL(url, window.location.href).href;
+    if (!(href in this.assets)) {
+      this.assets[href] = this.checkAsset(href);
+    }
+    return this.assets[href];
+  }
+
+  async checkAsset(href) {
+    try {
+      if (window.caches && await caches.match(href)) return true;
+      const response = await fetch(href, { method: 'HEAD' });
+      return response.ok;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+// Create global offline support
+window.offlineSupport = new OfflineSupport();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OfflineSupport };
+}
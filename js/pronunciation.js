@@ -0,0 +1,124 @@
+/**
+ * Pronunciation scoring for Korean Classroom VR
+ * Compares a recognised transcript with a target phrase jamo by jamo
+ */
+
+// In the browser Hangul is a global from hangul.js; under Node (unit tests) it is required
+const HangulText = (typeof module !== 'undefined' && module.exports) ? require('./hangul.js').Hangul : Hangul;
+
+const Pronunciation = {
+  // Score a transcript against a target phrase
+  // Returns { score: 0-100, distance, target, heard,
+  //           syllables: [{ char, heard, correct }] } with one entry per target syllable
+  score(target, transcript) {
+    const targetSyllables = HangulText.syllables(target);
+    const heardSyllables = HangulText.syllables(transcript);
+
+    const targetJamo = targetSyllables.flatMap(char => HangulText.toJamo(char));
+    const heardJamo = heardSyllables.flatMap(char => HangulText.toJamo(char));
+
+    const distance = this.editDistance(targetJamo, heardJamo);
+    const score = targetJamo.length === 0
+      ? 0
+      : Math.round(100 * Math.max(0, 1 - distance / targetJamo.length));
+
+    return {
+      score,
+      distance,
+      target: targetSyllables.join(''),
+      heard: heardSyllables.join(''),
+      syllables: this.alignSyllables(targetSyllables, heardSyllables)
+    };
+  },
+
+  // Levenshtein distance between two sequences, with an optional substitution cost
+  editDistance(a, b, substitutionCost = (x, y) => (x === y ? 0 : 1)) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  // Match each target syllable to what was heard in its place; a syllable is correct only
+  // when it was heard exactly. Substituting one syllable for another costs the share of
+  // their jamo that differ, so 니 heard as 나 aligns before being treated as missing.
+  alignSyllables(target, heard) {
+    const cost = (x, y) => {
+      const jx = HangulText.toJamo(x);
+      const jy = HangulText.toJamo(y);
+      return this.editDistance(jx, jy) / Math.max(jx.length, jy.length);
+    };
+
+    // Full table so the alignment can be traced back
+    const table = [];
+    for (let i = 0; i <= target.length; i++) {
+      table[i] = [];
+      for (let j = 0; j <= heard.length; j++) {
+        if (i === 0) table[i][j] = j;
+        else if (j === 0) table[i][j] = i;
+        else {
+          table[i][j] = Math.min(
+            table[i - 1][j] + 1,
+            table[i][j - 1] + 1,
+            table[i - 1][j - 1] + cost(target[i - 1], heard[j - 1])
+          );
+        }
+      }
+    }
+
+    const result = [];
+    let i = target.length;
+    let j = heard.length;
+    while (i > 0) {
+      if (j > 0 && table[i][j] === table[i - 1][j - 1] + cost(target[i - 1], heard[j - 1])) {
+        result.unshift({ char: target[i - 1], heard: heard[j - 1], correct: target[i - 1] === heard[j - 1] });
+        i--;
+        j--;
+      } else if (j > 0 && table[i][j] === table[i][j - 1] + 1) {
+        // Extra syllable in what was heard
+        j--;
+      } else {
+        result.unshift({ char: target[i - 1], heard: null, correct: false });
+        i--;
+      }
+    }
+
+    return result;
+  },
+
+  // Find a phrase the speaker is asking the learner to say, e.g. "Can you say '감사합니다'?",
+  // "Try saying 안녕하세요" or "'안녕하세요'라고 말해 보세요". Returns the Hangul phrase or null.
+  // Korean that merely follows "say" somewhere in the sentence ("Let me say this: 저는...") is not a prompt
+  findPrompt(text) {
+    const patterns = [
+      // Directly after "say", quoted or not
+      /\bsay(?:ing)?\s+["'“‘]?([가-힣]+(?:\s[가-힣]+)*)/i,
+      // Quoted, later in the same sentence as "say"
+      /\bsay(?:ing)?\b[^.!?;"'“”‘’가-힣]{0,24}["'“‘]([가-힣]+(?:\s[가-힣]+)*)["'”’]/i,
+      // Quoted, before 라고 말해 / 따라 해
+      /["'“‘]([가-힣]+(?:\s[가-힣]+)*)["'”’]\s*(?:이?라고\s*)?(?:말해|따라)/
+    ];
+
+    for (const pattern of patterns) {
+      const match = (text || '').match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+};
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Pronunciation };
+}
@@ -0,0 +1,359 @@
+/**
+ * Classroom Roster for Korean Classroom VR
+ * Loads the students of a classroom from data/rosters/<classroom>.json,
+ * checks each entry and builds the NPC entities in the scene
+ *
+ * Student entry:
+ *   id, name, nameKorean, personality, systemPrompt
+ *   seat: { x, z }                       chair position on the floor
+ *   colors: { body, skin, hair }         hex colours
+ *   appearance: { body: { width, height, depth }, headRadius,
+ *                 hair: short | long | messy | ponytail,
+ *                 glasses?, smile?, eyeRadius?, gaze?, props?: [entity attributes] }
+ *   idleAnimation: attentive | daydream | restless | writing
+ *   voice: { lang, voiceNames: { en: [], ko: [] }, rate, pitch, volume }
+ *   greeting: { en, ko? }
+ *   responses: { en: { <category>: [lines], default: [lines] }, ko?: {...} }
+ *              categories are the intents in data/intents.json, plus 'clarify' for unclear messages
+ *              lines may use {userName} and {userLike}, filled from what the learner said earlier
+ *   interjections?: [lines]               said when butting into someone else's conversation
+ *   quiz?: { ask?, correct?, wrong?: [lines] }   vocabulary quiz lines, with {word} and {gloss}
+ *   emotions?: { <emotion>: reaction }   how the student shows calm, happy, shy, confused, stressed
+ *              and laughing replies (see emotion.js); reactions are the clips in npc-animation.js
+ *
+ * Classroom ambient?: [{ lines: [{ npc, text, reaction? }] }]
+ *   short exchanges between students, played by the classroom director while the learner is idle
+ */
+
+const IDLE_ANIMATIONS = ['attentive', 'daydream', 'restless', 'writing'];
+const HAIR_STYLES = ['short', 'long', 'messy', 'ponytail'];
+
+class ClassroomRoster {
+  constructor() {
+    this.classroom = null;
+    this.title = '';
+    this.students = [];
+    this.ambient = [];
+    this.errors = [];
+  }
+
+  // Classroom from ?classroom=<name>, defaulting to data/rosters/default.json
+  getClassroomName() {
+    const name = new URLSearchParams(window.location.search).get('classroom') || 'default';
+    return /^[\w-]+$/.test(name) ? name : 'default';
+  }
+
+  async load(classroom = this.getClassroomName()) {
+    const response = await fetch(`data/rosters/${classroom}.json`);
+    if (!response.ok) {
+      throw new Error(`Roster "${classroom}" could not be loaded (${response.status})`);
+    }
+
+    const data = await response.json();
+    const { students, errors } = this.validate(data);
+    const ambient = this.validateAmbient(data.ambient, students, errors);
+
+    this.classroom = classroom;
+    this.title = data.title || classroom;
+    this.students = students;
+    this.ambient = ambient;
+    this.errors = errors;
+
+    errors.forEach(error => console.error(`Roster ${classroom}: ${error}`));
+    console.log(`Roster ${classroom}: ${students.length} students loaded`);
+    return students;
+  }
+
+  // Returns the valid students and a message for every problem; bad entries are skipped
+  validate(data) {
+    const errors = [];
+    const students = [];
+    const seen = new Set();
+
+    if (!data || !Array.isArray(data.students)) {
+      return { students, errors: ['"students" must be an array'] };
+    }
+
+    data.students.forEach((student, index) => {
+      const label = `students[${index}]${student?.id ? ` (${student.id})` : ''}`;
+      const problems = this.validateStudent(student);
+
+      if (student && seen.has(student.id)) {
+        problems.push(`duplicate id "${student.id}"`);
+      }
+
+      if (problems.length > 0) {
+        problems.forEach(problem => errors.push(`${label}: ${problem}`));
+      } else {
+        seen.add(student.id);
+        students.push(student);
+      }
+    });
+
+    return { students, errors };
+  }
+
+  // Ambient exchanges are optional; ones naming a missing student are skipped
+  validateAmbient(ambient, students, errors) {
+    if (ambient === undefined) return [];
+    if (!Array.isArray(ambient)) {
+      errors.push('"ambient" must be an array');
+      return [];
+    }
+
+    const ids = new Set(students.map(student => student.id));
+    return ambient.filter((exchange, index) => {
+      const lines = exchange?.lines;
+      if (!Array.isArray(lines) || lines.length === 0) {
+        errors.push(`ambient[${index}]: lines must be a non-empty array`);
+        return false;
+      }
+      const bad = lines.find(line => !ids.has(line?.npc) || typeof line.text !== 'string');
+      if (bad) {
+        errors.push(`ambient[${index}]: every line needs a known npc and text`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  validateStudent(student) {
+    const problems = [];
+    if (!student || typeof student !== 'object') {
+      return ['entry must be an object'];
+    }
+
+    const isString = value => typeof value === 'string' && value.trim().length > 0;
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    const isColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/.test(value);
+    const isLineTable = table => table && typeof table === 'object' &&
+      Object.values(table).every(lines => Array.isArray(lines) && lines.length > 0 && lines.every(isString));
+
+    if (!isString(student.id) || !/^[a-z][a-z0-9-]*$/.test(student.id)) {
+      problems.push('id must be lowercase letters, digits or dashes');
+    }
+    ['name', 'nameKorean', 'systemPrompt'].forEach(field => {
+      if (!isString(student[field])) problems.push(`${field} is required`);
+    });
+
+    if (!student.seat || !isNumber(student.seat.x) || !isNumber(student.seat.z)) {
+      problems.push('seat needs numeric x and z');
+    }
+
+    ['body', 'skin', 'hair'].forEach(part => {
+      if (!isColor(student.colors?.[part])) problems.push(`colors.${part} must be a hex colour`);
+    });
+
+    const appearance = student.appearance || {};
+    const body = appearance.body || {};
+    if (!isNumber(body.width) || !isNumber(body.height) || !isNumber(body.depth)) {
+      problems.push('appearance.body needs numeric width, height and depth');
+    }
+    if (!isNumber(appearance.headRadius)) {
+      problems.push('appearance.headRadius must be a number');
+    }
+    if (!HAIR_STYLES.includes(appearance.hair)) {
+      problems.push(`appearance.hair must be one of ${HAIR_STYLES.join(', ')}`);
+    }
+    if (appearance.props !== undefined && !Array.isArray(appearance.props)) {
+      problems.push('appearance.props must be an array');
+    }
+
+    if (!IDLE_ANIMATIONS.includes(student.idleAnimation)) {
+      problems.push(`idleAnimation must be one of ${IDLE_ANIMATIONS.join(', ')}`);
+    }
+
+    if (student.voice !== undefined) {
+      const voice = student.voice;
+      if (!isString(voice.lang)) problems.push('voice.lang is required');
+      if (!isNumber(voice.rate) || voice.rate < 0.1 || voice.rate > 10) problems.push('voice.rate must be 0.1-10');
+      if (!isNumber(voice.pitch) || voice.pitch < 0 || voice.pitch > 2) problems.push('voice.pitch must be 0-2');
+      if (!isNumber(voice.volume) || voice.volume < 0 || voice.volume > 1) problems.push('voice.volume must be 0-1');
+    }
+
+    if (!isString(student.greeting?.en)) {
+      problems.push('greeting.en is required');
+    }
+
+    const responses = student.responses || {};
+    if (!isLineTable(responses.en) || !responses.en.default) {
+      problems.push('responses.en must map categories to lines and include "default"');
+    }
+    if (responses.ko !== undefined && (!isLineTable(responses.ko) || !responses.ko.default)) {
+      problems.push('responses.ko must map categories to lines and include "default"');
+    }
+    if (student.interjections !== undefined &&
+        (!Array.isArray(student.interjections) || !student.interjections.every(isString))) {
+      problems.push('interjections must be an array of lines');
+    }
+    if (student.quiz !== undefined &&
+        (!isLineTable(student.quiz) || !Object.keys(student.quiz).every(key => ['ask', 'correct', 'wrong'].includes(key)))) {
+      problems.push('quiz must map ask, correct and wrong to lines');
+    }
+    if (student.emotions !== undefined &&
+        (!student.emotions || typeof student.emotions !== 'object' ||
+         !Object.entries(student.emotions).every(([emotion, reaction]) =>
+           EMOTIONS.includes(emotion) && NPC_REACTIONS.includes(reaction)))) {
+      problems.push(`emotions must map ${EMOTIONS.join(', ')} to reactions (${NPC_REACTIONS.join(', ')})`);
+    }
+
+    return problems;
+  }
+
+  // Register the students as NPC configs (STUDENT_PERSONALITIES) and create their entities
+  build(container) {
+    this.students.forEach(student => {
+      STUDENT_PERSONALITIES[student.id] = student;
+      container.appendChild(this.createNPCEntity(student));
+    });
+  }
+
+  createNPCEntity(student) {
+    const npc = this.createEntity('a-entity', {
+      id: `npc-${student.id}`,
+      class: 'npc',
+      position: `${student.seat.x} 0 ${student.seat.z}`,
+      'npc-controller': `id: ${student.id}; name: ${student.name}; personality: ${student.personality || ''}`
+    });
+
+    const body = this.createEntity('a-entity', { class: 'npc-body' });
+    this.createBodyParts(student).forEach(part => body.appendChild(part));
+    npc.appendChild(body);
+
+    (student.appearance.props || []).forEach(prop => {
+      const { primitive = 'box', ...attributes } = prop;
+      npc.appendChild(this.createEntity(`a-${primitive}`, attributes));
+    });
+
+    // Name tag (visible in VR)
+    npc.appendChild(this.createEntity('a-text', {
+      value: `${student.name}\n${student.nameKorean}`,
+      position: '0 1.15 0',
+      align: 'center',
+      color: '#333',
+      width: 2,
+      'look-at': '[camera]'
+    }));
+
+    // Romanization and gloss of the Korean name, shown on hover
+    npc.appendChild(this.createEntity('a-entity', {
+      position: '0 0.95 0',
+      'look-at': '[camera]',
+      'hangul-annotation': `text: ${student.nameKorean}`
+    }));
+
+    // Interaction zone
+    npc.appendChild(this.createEntity('a-sphere', {
+      class: 'interaction-zone',
+      position: '0 0.7 0',
+      radius: 1,
+      visible: false,
+      'interaction-target': `npc: ${student.id}`
+    }));
+
+    return npc;
+  }
+
+  // Seated body, head, hair and face, sized from the appearance settings
+  createBodyParts(student) {
+    const { colors, appearance } = student;
+    const r = appearance.headRadius;
+    const headY = 0.85;
+    const eyeY = appearance.glasses ? headY + 0.01 : headY;
+    const eyeZ = r * 0.8;
+    const eyeRadius = appearance.eyeRadius || 0.02;
+    const gaze = appearance.gaze || 0;
+
+    const parts = [
+      this.createEntity('a-box', {
+        position: '0 0.5 0',
+        width: appearance.body.width,
+        height: appearance.body.height,
+        depth: appearance.body.depth,
+        color: colors.body
+      }),
+      this.createEntity('a-sphere', { class: 'npc-head', position: `0 ${headY} 0`, radius: r, color: colors.skin })
+    ];
+
+    switch (appearance.hair) {
+      case 'short':
+        parts.push(this.createEntity('a-sphere', {
+          position: '0 0.92 0', radius: r * 0.93, color: colors.hair, 'theta-length': 180
+        }));
+        break;
+      case 'long':
+        parts.push(this.createEntity('a-box', {
+          position: `0 ${headY} -0.05`, width: r * 2 + 0.02, height: 0.35, depth: 0.15, color: colors.hair
+        }));
+        break;
+      case 'messy':
+        parts.push(this.createEntity('a-sphere', { position: '0 0.95 0', radius: r * 0.81, color: colors.hair }));
+        break;
+      case 'ponytail':
+        parts.push(this.createEntity('a-sphere', { position: '0 0.92 0', radius: r * 0.85, color: colors.hair }));
+        parts.push(this.createEntity('a-cylinder', {
+          position: `0 ${headY} ${-r * 0.77}`, radius: 0.03, height: 0.15, color: colors.hair, rotation: '45 0 0'
+        }));
+        break;
+    }
+
+    // Eyes (gaze shifts both sideways)
+    [-0.04, 0.04].forEach(x => {
+      parts.push(this.createEntity('a-sphere', {
+        class: 'npc-eye',
+        position: `${x + gaze} ${eyeY} ${eyeZ}`,
+        radius: eyeRadius,
+        color: '#000'
+      }));
+    });
+
+    if (appearance.glasses) {
+      [-0.04, 0.04].forEach(x => {
+        parts.push(this.createEntity('a-ring', {
+          class: 'npc-glasses',
+          position: `${x} ${eyeY} ${r * 0.92}`,
+          'radius-inner': 0.02,
+          'radius-outer': 0.025,
+          color: '#333'
+        }));
+      });
+    }
+
+    if (appearance.smile) {
+      parts.push(this.createEntity('a-ring', {
+        position: `0 0.8 ${r * 0.875}`,
+        'radius-inner': 0.03,
+        'radius-outer': 0.05,
+        color: '#FF6B6B',
+        'theta-length': 180,
+        rotation: '180 0 0'
+      }));
+    }
+
+    // Mouth, opened by lip sync while speaking (a smile covers it at rest)
+    const mouthY = 0.79;
+    parts.push(this.createEntity('a-circle', {
+      class: 'npc-mouth',
+      position: `0 ${mouthY} ${Math.sqrt(r * r - (headY - mouthY) ** 2) + 0.004}`,
+      radius: 0.022,
+      color: '#5A1E1E',
+      'npc-mouth': `npc: ${student.id}; hideAtRest: ${!!appearance.smile}`
+    }));
+
+    return parts;
+  }
+
+  createEntity(tag, attributes) {
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+  }
+}
+
+// Create global roster
+window.classroomRoster = new ClassroomRoster();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ClassroomRoster, IDLE_ANIMATIONS, HAIR_STYLES };
+}
@@ -0,0 +1,205 @@
+/**
+ * Seating for Korean Classroom VR
+ * Lets the learner sit on an empty chair among the students, and starts or ends conversations
+ * as the learner walks up to a student or away from them
+ */
+
+class Seating {
+  constructor(config = {}) {
+    this.config = {
+      seatedHeight: 1.2,  // eye height when sitting down (m)
+      turnRadius: 1.6,    // students this close to the learner's chair turn towards them
+      ...config
+    };
+
+    this.seat = null;
+    this.chairs = [];
+    this.standButton = null;
+  }
+
+  // Overrides come from window.CLASSROOM_CONFIG.seating
+  start() {
+    this.config = { ...this.config, ...(window.CLASSROOM_CONFIG?.seating || {}) };
+
+    // Chairs nobody from the roster sits on
+    const taken = Array.from(document.querySelectorAll('#npcs .npc'))
+      .map(npc => npc.object3D.position);
+    this.chairs = Array.from(document.querySelectorAll('#furniture .chair')).filter(chair => {
+      const { x, z } = chair.object3D.position;
+      return !taken.some(position => Math.hypot(position.x - x, position.z - z) < 0.1);
+    });
+
+    this.chairs.forEach(chair => {
+      chair.classList.add('empty-chair');
+      chair.addEventListener('click', () => this.sit(chair));
+      chair.addEventListener('mouseenter', () => chair.setAttribute('scale', '1.05 1.05 1.05'));
+      chair.addEventListener('mouseleave', () => chair.setAttribute('scale', '1 1 1'));
+    });
+
+    this.standButton = document.createElement('button');
+    this.standButton.id = 'stand-up-btn';
+    this.standButton.className = 'hidden';
+    this.standButton.textContent = 'Stand up';
+    this.standButton.addEventListener('click', () => this.stand());
+    document.body.appendChild(this.standButton);
+
+    // Teleporting away from the chair means getting up
+    const scene = document.querySelector('a-scene');
+    scene.addEventListener('locomotion-teleported', () => this.leaveSeat());
+
+    // Walking keys stand the learner up on the desktop
+    document.addEventListener('keydown', (e) => {
+      if (!this.seat || e.target.closest('input, textarea, select')) return;
+      if (['w', 'a', 's', 'd', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright'].includes(e.key.toLowerCase())) {
+        this.stand();
+      }
+    });
+  }
+
+  sit(chair) {
+    if (this.seat === chair) return;
+    const rig = document.querySelector('#rig');
+    const camera = document.querySelector('#camera');
+    const { x, z } = chair.object3D.position;
+
+    // Clear the old seat first: the move below counts as a teleport
+    this.seat = null;
+    window.locomotion.teleport(x, z);
+
+    // Lower the rig so the eyes end up at seated height, whatever the headset reports as standing
+    rig.object3D.position.y = this.config.seatedHeight - camera.object3D.position.y;
+    rig.setAttribute('movement-controls', 'enabled', false);
+    chair.classList.remove('empty-chair');
+    this.seat = chair;
+
+    this.standButton?.classList.remove('hidden');
+    document.querySelector('a-scene').emit('learner-seat-changed', { seated: true, x, z });
+  }
+
+  // Get up and step into the aisle next to the chair
+  stand() {
+    if (!this.seat) return;
+    const { x, z } = this.seat.object3D.position;
+    this.leaveSeat();
+
+    const spot = window.locomotion.nearestWalkable(x, z);
+    if (spot) window.locomotion.teleport(spot.x, spot.z);
+  }
+
+  leaveSeat() {
+    if (!this.seat) return;
+    const chair = this.seat;
+    this.seat = null;
+
+    const rig = document.querySelector('#rig');
+    rig.object3D.position.y = 0;
+    rig.setAttribute('movement-controls', 'enabled', true);
+    chair.classList.add('empty-chair');
+
+    this.standButton?.classList.add('hidden');
+    document.querySelector('a-scene').emit('learner-seat-changed', { seated: false });
+  }
+
+  // True when the learner sits close enough to an NPC entity for it to turn and face them
+  isSeatedNear(el) {
+    if (!this.seat) return false;
+    const seat = this.seat.object3D.position;
+    const position = el.object3D.position;
+    return Math.hypot(seat.x - position.x, seat.z - position.z) <= this.config.turnRadius;
+  }
+}
+
+// Looking at a student close by for a moment starts a conversation; walking away ends it
+class ProximityConversation {
+  constructor(config = {}) {
+    this.config = {
+      radius: 1.5,        // how close the learner has to be (m); 0 turns this off
+      lookSeconds: 1,     // how long they have to look at the student
+      lookAngle: 20,      // degrees between the view direction and the student's head
+      leaveRadius: 2.5,   // walking further than this from the student ends the conversation
+      ...config
+    };
+
+    this.lookingAt = null;
+    this.lookStart = 0;
+    this.nearNPC = null;
+    this.timer = null;
+  }
+
+  // Overrides come from window.CLASSROOM_CONFIG.proximity
+  start() {
+    this.config = { ...this.config, ...(window.CLASSROOM_CONFIG?.proximity || {}) };
+    if (this.config.radius <= 0) return;
+    this.timer = setInterval(() => this.update(), 100);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  update() {
+    const camera = document.querySelector('#camera');
+    const chat = window.aiChat;
+    if (!camera || !chat || !window.npcManager) return;
+
+    const head = camera.object3D.getWorldPosition(new THREE.Vector3());
+    const forward = new THREE.Vector3(0, 0, -1)
+      .applyQuaternion(camera.object3D.getWorldQuaternion(new THREE.Quaternion()));
+    const minDot = Math.cos(THREE.MathUtils.degToRad(this.config.lookAngle));
+
+    const current = chat.currentNPC?.id || null;
+    let currentDistance = Infinity;
+    let candidate = null;
+    let candidateDistance = Infinity;
+
+    Object.entries(window.npcManager.getAllNPCs()).forEach(([id, npc]) => {
+      const npcHead = npc.el.object3D.getWorldPosition(new THREE.Vector3());
+      npcHead.y += 0.85;
+      const distance = Math.hypot(npcHead.x - head.x, npcHead.z - head.z);
+      if (id === current) currentDistance = distance;
+
+      if (distance > this.config.radius || distance >= candidateDistance) return;
+      if (npcHead.sub(head).normalize().dot(forward) >= minDot) {
+        candidate = id;
+        candidateDistance = distance;
+      }
+    });
+
+    // Walking away from a student the learner went up to ends the conversation;
+    // one started by clicking from across the room is left alone
+    if (current && currentDistance <= this.config.radius) {
+      this.nearNPC = current;
+    } else if (current && this.nearNPC === current && currentDistance > this.config.leaveRadius) {
+      this.nearNPC = null;
+      chat.endConversation();
+      return;
+    }
+
+    // Don't switch away from a student the learner is standing or sitting with
+    const busy = current && currentDistance <= this.config.radius;
+    if (!candidate || candidate === current || busy) {
+      this.lookingAt = null;
+      return;
+    }
+
+    const now = Date.now();
+    if (this.lookingAt !== candidate) {
+      this.lookingAt = candidate;
+      this.lookStart = now;
+    } else if (now - this.lookStart >= this.config.lookSeconds * 1000) {
+      this.lookingAt = null;
+      this.nearNPC = candidate;
+      window.npcManager.getNPC(candidate)?.onInteract();
+    }
+  }
+}
+
+// Create global seating and proximity conversations
+window.seating = new Seating();
+window.proximityConversation = new ProximityConversation();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Seating, ProximityConversation };
+}
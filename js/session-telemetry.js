@@ -0,0 +1,267 @@
+/**
+ * Session Telemetry for Korean Classroom VR
+ * Reports what the learner is doing to teacher dashboards (dashboard.html) and takes prompts back
+ *
+ * Settings: window.CLASSROOM_CONFIG.telemetry < URL (?telemetry=ws://host:8081 or ?telemetry=off)
+ * The default channel is the local relay (npm run relay) on the host serving the page, so dashboards
+ * see every headset without per-device setup; ?telemetry=off or { relayURL: 'off' } opts out.
+ * Sessions and dashboards meet in the relay room "dashboard"; dashboards join as role "teacher".
+ *
+ * Session -> dashboard  { type: 'telemetry', event, at, ... }
+ *   snapshot  everything below, sent to each dashboard when it (or the session) connects
+ *   active-npc { npcId }        chat { npcId, message }        stats { stats }
+ *   error { error: { kind: pronunciation | vocabulary, npcId, expected, heard, score? } }
+ *   lesson { lesson: { id, title } | null }
+ * Dashboard -> session  { type: 'prompt', npcId, text }  the NPC says text to the learner
+ */
+
+// Typing pauses longer than this are thinking time, not typing time
+const TYPING_IDLE_MS = 5000;
+const TELEMETRY_HISTORY_LIMIT = 30;
+const TELEMETRY_ERROR_LIMIT = 50;
+// Stay under the relay's 64 KB message limit
+const TELEMETRY_SNAPSHOT_BYTES = 48 * 1024;
+
+class SessionTelemetry {
+  constructor() {
+    this.config = null;
+    this.transport = null;
+    this.peerId = null;
+    // peerIds of connected dashboards; nothing is sent while there are none
+    this.dashboards = new Set();
+    this.stats = { speakingMs: 0, typingMs: 0, voiceMessages: 0, typedMessages: 0 };
+    this.errors = [];
+    this.lesson = null;
+    this.recordingSince = null;
+    this.lastKeystroke = 0;
+    this.statsTimer = null;
+    this.statsDirty = false;
+  }
+
+  getConfig() {
+    const config = {
+      relayURL: `ws://${window.location.hostname || 'localhost'}:8081`,
+      room: 'dashboard',
+      statsIntervalSeconds: 5,
+      ...(window.CLASSROOM_CONFIG?.telemetry || {})
+    };
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('telemetry')) config.relayURL = params.get('telemetry');
+    config.name = params.get('name') || config.name || window.CLASSROOM_CONFIG?.network?.name || 'Learner';
+
+    return config;
+  }
+
+  // Returns whether telemetry started (it is off with ?telemetry=off)
+  start(transport) {
+    this.config = this.getConfig();
+    if (!transport && (!this.config.relayURL || this.config.relayURL === 'off')) return false;
+
+    this.transport = transport || new WebSocketTransport(this.config.relayURL, { maxReconnectDelay: 60000 });
+    this.transport.onOpen = () => {
+      this.transport.send({ type: 'join', room: this.config.room, role: 'student', name: this.config.name });
+    };
+    this.transport.onClose = () => {
+      this.peerId = null;
+      this.dashboards.clear();
+    };
+    this.transport.onMessage = (message) => this.handleMessage(message);
+
+    this.bindEvents();
+    this.transport.connect();
+    this.statsTimer = setInterval(() => this.flushStats(), this.config.statsIntervalSeconds * 1000);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+    this.transport?.close();
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.peerId = message.peerId;
+        this.dashboards.clear();
+        message.peers.forEach(peer => this.addPeer(peer));
+        break;
+
+      case 'peer-joined':
+        this.addPeer(message);
+        break;
+
+      case 'peer-left':
+        this.dashboards.delete(message.peerId);
+        break;
+
+      case 'prompt':
+        if (this.dashboards.has(message.from)) this.handlePrompt(message);
+        break;
+    }
+  }
+
+  addPeer({ peerId, role }) {
+    if (role !== 'teacher') return;
+    this.dashboards.add(peerId);
+    this.send(peerId, this.getSnapshot());
+  }
+
+  send(to, event) {
+    this.transport?.send({ type: 'telemetry', to, at: Date.now(), ...event });
+  }
+
+  report(event) {
+    this.dashboards.forEach(peerId => this.send(peerId, event));
+  }
+
+  bindEvents() {
+    const scene = document.querySelector('a-scene');
+    if (!scene) return;
+
+    scene.addEventListener('active-npc-changed', (e) => {
+      this.report({ event: 'active-npc', npcId: e.detail.npcId || null });
+    });
+
+    scene.addEventListener('chat-message-recorded', (e) => {
+      const { npcId, message } = e.detail;
+      this.report({ event: 'chat', npcId, message });
+
+      if (message.role === 'user') {
+        if (message.source === 'voice') this.stats.voiceMessages++;
+        else this.stats.typedMessages++;
+        this.statsDirty = true;
+      }
+      if (message.pronunciation && message.pronunciation.score < 90) {
+        this.addError({
+          kind: 'pronunciation',
+          npcId,
+          expected: message.pronunciation.target,
+          heard: message.pronunciation.heard,
+          score: message.pronunciation.score
+        });
+      }
+    });
+
+    // A lesson answer that matched none of the expected answers
+    scene.addEventListener('lesson-answer', (e) => {
+      if (e.detail.matched) return;
+      this.addError({
+        kind: 'vocabulary',
+        npcId: e.detail.npcId,
+        expected: e.detail.expected.join(' | '),
+        heard: e.detail.text
+      });
+    });
+
+    // A word a student quizzed the learner on and they got wrong
+    scene.addEventListener('vocabulary-reviewed', (e) => {
+      if (e.detail.correct) return;
+      this.addError({
+        kind: 'vocabulary',
+        npcId: e.detail.npcId,
+        expected: `${e.detail.word} = ${e.detail.gloss}`,
+        heard: e.detail.answer
+      });
+    });
+
+    scene.addEventListener('lesson-started', (e) => {
+      this.lesson = { id: e.detail.id, title: e.detail.title };
+      this.report({ event: 'lesson', lesson: this.lesson });
+    });
+    scene.addEventListener('lesson-ended', () => {
+      this.lesson = null;
+      this.report({ event: 'lesson', lesson: null });
+    });
+
+    // Speaking time is time spent holding the microphone
+    scene.addEventListener('chat-recording-changed', (e) => {
+      if (e.detail.recording) {
+        this.recordingSince = Date.now();
+      } else if (this.recordingSince) {
+        this.stats.speakingMs += Date.now() - this.recordingSince;
+        this.recordingSince = null;
+        this.statsDirty = true;
+      }
+    });
+
+    // Typing time adds up the gaps between keystrokes, leaving out long pauses
+    document.getElementById('chat-input')?.addEventListener('input', () => {
+      const now = Date.now();
+      const gap = now - this.lastKeystroke;
+      if (gap < TYPING_IDLE_MS) {
+        this.stats.typingMs += gap;
+        this.statsDirty = true;
+      }
+      this.lastKeystroke = now;
+    });
+  }
+
+  addError(error) {
+    this.errors.push({ ...error, at: Date.now() });
+    if (this.errors.length > TELEMETRY_ERROR_LIMIT) this.errors.shift();
+    this.report({ event: 'error', error });
+  }
+
+  flushStats() {
+    if (!this.statsDirty) return;
+    this.statsDirty = false;
+    this.report({ event: 'stats', stats: { ...this.stats } });
+  }
+
+  // Everything a dashboard needs to show this session, with the end of each conversation
+  // (fewer messages per conversation when it would not fit in one relay message)
+  getSnapshot() {
+    let snapshot = null;
+    for (let limit = TELEMETRY_HISTORY_LIMIT; limit >= 1; limit = Math.floor(limit / 2)) {
+      snapshot = this.buildSnapshot(limit);
+      if (new TextEncoder().encode(JSON.stringify(snapshot)).length <= TELEMETRY_SNAPSHOT_BYTES) break;
+    }
+    return snapshot;
+  }
+
+  buildSnapshot(historyLimit) {
+    const histories = {};
+    Object.entries(window.aiChat?.getAllHistories() || {}).forEach(([npcId, history]) => {
+      if (history.length > 0) histories[npcId] = history.slice(-historyLimit);
+    });
+
+    return {
+      event: 'snapshot',
+      learner: this.config.name,
+      classroom: window.classroomRoster?.title || '',
+      students: Object.entries(STUDENT_PERSONALITIES).map(([id, config]) => ({
+        id,
+        name: config.name,
+        nameKorean: config.nameKorean
+      })),
+      activeNPC: window.npcManager?.activeNPC || null,
+      lesson: this.lesson,
+      stats: { ...this.stats },
+      errors: this.errors,
+      histories
+    };
+  }
+
+  // The teacher puts words in a student's mouth, e.g. Yuna asks a question
+  handlePrompt({ npcId, text }) {
+    const config = STUDENT_PERSONALITIES[npcId];
+    const chat = window.aiChat;
+    if (!config || !chat || typeof text !== 'string' || !text.trim()) return;
+
+    if (chat.currentNPC?.id !== npcId) {
+      chat.startConversation(npcId, config, { greet: false });
+    }
+    chat.sayLine(npcId, text.trim().slice(0, 500));
+    window.npcManager?.triggerReaction(npcId, 'nod');
+  }
+}
+
+// Create global telemetry (connects in main.js)
+window.sessionTelemetry = new SessionTelemetry();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SessionTelemetry };
+}
@@ -0,0 +1,31 @@
+/**
+ * Settings for Korean Classroom VR
+ * Persists user preferences in localStorage
+ */
+
+const Settings = {
+  prefix: 'kcvr:',
+
+  get(key, defaultValue) {
+    try {
+      const raw = localStorage.getItem(this.prefix + key);
+      return raw === null ? defaultValue : JSON.parse(raw);
+    } catch (e) {
+      return defaultValue;
+    }
+  },
+
+  set(key, value) {
+    try {
+      localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    } catch (e) {
+      // Storage may be full or disabled (private browsing)
+      console.warn(`Could not save setting "${key}":`, e);
+    }
+  }
+};
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Settings };
+}
@@ -0,0 +1,199 @@
+/**
+ * Spatial Voice for Korean Classroom VR
+ * Plays rendered NPC speech (see tts-producer.js) through positional audio at the speaking
+ * student's head, with distance attenuation and a little room reverb.
+ * Settings: window.CLASSROOM_CONFIG.tts < URL (?tts=<server url> or ?tts=off)
+ * Without a configured producer, speech stays on window.speechSynthesis
+ */
+
+class SpatialVoice {
+  constructor(config = {}) {
+    this.config = {
+      url: null,             // local TTS server (HttpTTSProducer)
+      clips: null,           // folder of pre-rendered clips (ClipTTSProducer)
+      refDistance: 1,        // full volume up to this distance (m)
+      rolloffFactor: 1.5,
+      maxDistance: 12,
+      reverb: 0.25,          // wet level of the room reverb; 0 turns it off
+      reverbSeconds: 1.2,    // classroom decay time
+      retryAfter: 30000,     // an unreachable producer is skipped this long (ms)
+      ...config
+    };
+
+    this.producers = [];
+    this.enabled = false;
+    this.sources = {};
+    this.reverb = null;
+  }
+
+  start() {
+    this.config = { ...this.config, ...(window.CLASSROOM_CONFIG?.tts || {}) };
+
+    const param = new URLSearchParams(window.location.search).get('tts');
+    if (param === 'off') {
+      this.config.url = null;
+      this.config.clips = null;
+    } else if (param) {
+      this.config.url = param;
+    }
+
+    this.producers = createTTSProducers(this.config);
+    this.enabled = this.producers.length > 0 && typeof THREE.PositionalAudio === 'function';
+    if (this.enabled) {
+      console.log('Spatial voices from:', this.producers.map(p => p.name).join(', '));
+    }
+  }
+
+  // Play a whole line, Korean and English together, at an NPC's head
+  // Returns a playback with onstart / onend / onfail callbacks and stop(); onfail means no
+  // producer could render the line, and the caller should fall back to speechSynthesis
+  play(npcId, text, options = {}) {
+    const { lang = 'en', profile = {} } = options;
+    const controller = new AbortController();
+    let audio = null;
+    let stopped = false;
+
+    const playback = {
+      npcId,
+      onstart: null,
+      onend: null,
+      onfail: null,
+      stop: () => {
+        stopped = true;
+        controller.abort();
+        if (audio?.isPlaying) audio.stop();
+        window.lipSync?.stop(npcId);
+      }
+    };
+
+    const fail = () => {
+      if (!stopped) playback.onfail?.();
+    };
+
+    this.produce(text, { npcId, lang, profile, signal: controller.signal })
+      .then(async data => {
+        if (stopped) return;
+        audio = data && this.getSource(npcId);
+        if (!audio) {
+          fail();
+          return;
+        }
+
+        const context = audio.context;
+        if (context.state === 'suspended') await context.resume();
+        const buffer = data instanceof AudioBuffer ? data : await context.decodeAudioData(data);
+        if (stopped) return;
+
+        if (audio.isPlaying) audio.stop();
+        audio.setBuffer(buffer);
+        audio.setVolume(profile.volume ?? 1);
+        audio.onEnded = () => {
+          audio.isPlaying = false;
+          window.lipSync?.stop(npcId);
+          if (!stopped) playback.onend?.();
+        };
+        audio.play();
+
+        window.lipSync?.start(npcId, text, buffer.duration * 1000);
+        playback.onstart?.();
+      })
+      .catch(e => {
+        console.warn('Spatial voice failed:', e.message);
+        fail();
+      });
+
+    return playback;
+  }
+
+  // Audio for a line from the first producer that has it, or null
+  async produce(text, options) {
+    for (const producer of this.producers) {
+      if (producer.unavailableUntil > Date.now()) continue;
+
+      try {
+        const data = await producer.produce(text, options);
+        if (data) return data;
+      } catch (e) {
+        if (options.signal?.aborted) throw e;
+        console.warn(`${producer.name} TTS failed:`, e.message);
+        if (e.unreachable) producer.unavailableUntil = Date.now() + this.config.retryAfter;
+      }
+    }
+    return null;
+  }
+
+  // One positional source per NPC, riding on its head so it follows nods and turns
+  getSource(npcId) {
+    if (this.sources[npcId]) return this.sources[npcId];
+
+    const npc = window.npcManager?.getNPC(npcId);
+    const head = npc?.el.querySelector('.npc-head')?.object3D || npc?.el.object3D;
+    if (!head) return null;
+
+    const listener = this.getListener();
+    const audio = new THREE.PositionalAudio(listener);
+    audio.setDistanceModel('inverse');
+    audio.setRefDistance(this.config.refDistance);
+    audio.setRolloffFactor(this.config.rolloffFactor);
+    audio.setMaxDistance(this.config.maxDistance);
+
+    // Send after the panner, so a student further away also sounds further away in the reverb
+    const reverb = this.getReverb(listener);
+    if (reverb) audio.getOutput().connect(reverb);
+
+    head.add(audio);
+    this.sources[npcId] = audio;
+    return audio;
+  }
+
+  // The scene's audio listener, shared with A-Frame's sound component
+  getListener() {
+    const scene = document.querySelector('a-scene');
+    if (!scene.audioListener) {
+      scene.audioListener = new THREE.AudioListener();
+      if (scene.camera) scene.camera.add(scene.audioListener);
+      scene.addEventListener('camera-set-active', (e) => {
+        e.detail.cameraEl.getObject3D('camera').add(scene.audioListener);
+      });
+    }
+    return scene.audioListener;
+  }
+
+  getReverb(listener) {
+    if (this.reverb || this.config.reverb <= 0) return this.reverb;
+
+    const context = listener.context;
+    const convolver = context.createConvolver();
+    convolver.buffer = this.createImpulseResponse(context, this.config.reverbSeconds);
+
+    const wet = context.createGain();
+    wet.gain.value = this.config.reverb;
+    convolver.connect(wet);
+    wet.connect(listener.getInput());
+
+    this.reverb = convolver;
+    return convolver;
+  }
+
+  // Exponentially decaying noise: a cheap stand-in for a measured room response
+  createImpulseResponse(context, seconds, decay = 3) {
+    const length = Math.max(1, Math.floor(context.sampleRate * seconds));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+      }
+    }
+    return impulse;
+  }
+}
+
+// Create global spatial voice
+window.spatialVoice = new SpatialVoice();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SpatialVoice };
+}
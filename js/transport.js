@@ -0,0 +1,101 @@
+/**
+ * Transports for Korean Classroom VR
+ * Message channels used by the shared classroom, session telemetry and the teacher dashboard
+ */
+
+// Minimum interface a transport provides; handlers are set by ClassroomNetwork
+class Transport {
+  constructor() {
+    this.onOpen = null;     // () => void, also after a reconnect
+    this.onClose = null;    // () => void
+    this.onMessage = null;  // (message object) => void
+  }
+
+  connect() {
+    throw new Error('Transport.connect() not implemented');
+  }
+
+  // Returns false when the message could not be sent
+  send(message) {
+    throw new Error('Transport.send() not implemented');
+  }
+
+  close() {}
+
+  isOpen() {
+    return false;
+  }
+}
+
+// JSON over a WebSocket, reconnecting with backoff when the connection drops
+class WebSocketTransport extends Transport {
+  constructor(url, { reconnectDelay = 1000, maxReconnectDelay = 30000 } = {}) {
+    super();
+    this.url = url;
+    this.baseDelay = reconnectDelay;
+    this.maxDelay = maxReconnectDelay;
+    this.delay = reconnectDelay;
+    this.socket = null;
+    this.closed = false;
+    this.reconnectTimer = null;
+  }
+
+  connect() {
+    this.closed = false;
+    clearTimeout(this.reconnectTimer);
+
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (error) {
+      console.warn('Relay connection failed:', error.message);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.onopen = () => {
+      this.delay = this.baseDelay;
+      this.onOpen?.();
+    };
+    this.socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      this.onMessage?.(message);
+    };
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.onClose?.();
+      this.scheduleReconnect();
+    };
+  }
+
+  scheduleReconnect() {
+    if (this.closed) return;
+    this.reconnectTimer = setTimeout(() => this.connect(), this.delay);
+    this.delay = Math.min(this.delay * 2, this.maxDelay);
+  }
+
+  send(message) {
+    if (!this.isOpen()) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+  }
+
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Transport, WebSocketTransport };
+}
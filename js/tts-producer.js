@@ -0,0 +1,103 @@
+/**
+ * TTS Producers for Korean Classroom VR
+ * Pluggable sources of rendered NPC speech, played positionally by SpatialVoice
+ */
+
+// Base producer - every source implements this interface
+class TTSProducer {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  // options: { npcId, lang: 'ko' | 'en' (the line's main language), profile (voice profile from AIChat), signal }
+  // Resolves with encoded audio (ArrayBuffer) or an AudioBuffer, or null when this source has no audio for the line
+  async produce(text, options = {}) {
+    throw new Error(`${this.name} producer does not implement produce()`);
+  }
+}
+
+// Local TTS server: POST { text, lang, voice, rate, pitch } and get audio bytes (wav, mp3, ogg) back
+class HttpTTSProducer extends TTSProducer {
+  constructor(config = {}) {
+    super({
+      timeout: 8000,  // for the whole clip (ms)
+      voices: {},     // npcId -> voice name on the server; defaults to the npcId
+      ...config
+    });
+    this.name = 'http';
+  }
+
+  async produce(text, options = {}) {
+    const { npcId, lang = 'en', profile = {}, signal } = options;
+
+    return fetchWithTimeout(this.config.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        lang,
+        voice: this.config.voices[npcId] || npcId,
+        rate: profile.rate,
+        pitch: profile.pitch
+      })
+    }, {
+      timeout: this.config.timeout,
+      signal,
+      read: response => {
+        if (!response.ok) throw new Error(`TTS request failed with status ${response.status}`);
+        return response.arrayBuffer();
+      }
+    });
+  }
+}
+
+// Pre-rendered clips listed in <baseURL>/index.json: { "<npcId>": { "<line>": "<file>" } }
+// <line> is the whole line as the student says it, Korean and English together
+// File paths are relative to baseURL; lines without a clip return null
+class ClipTTSProducer extends TTSProducer {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'clips';
+    this.baseURL = (this.config.baseURL || '').replace(/\/+$/, '');
+    this.index = null;
+  }
+
+  async loadIndex() {
+    if (!this.index) {
+      this.index = fetch(`${this.baseURL}/index.json`)
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}));
+    }
+    return this.index;
+  }
+
+  async produce(text, options = {}) {
+    const index = await this.loadIndex();
+    const file = index[options.npcId]?.[this.normalize(text)];
+    if (!file) return null;
+
+    const response = await fetch(`${this.baseURL}/${file}`, { signal: options.signal });
+    if (!response.ok) return null;
+    return response.arrayBuffer();
+  }
+
+  // Clip lines match regardless of spacing
+  normalize(text) {
+    return text.trim().replace(/\s+/g, ' ');
+  }
+}
+
+// Create producers from a config object, tried in order: clips first, then the server
+// Returns an empty list when nothing is configured
+function createTTSProducers(config = {}) {
+  const producers = [];
+  if (config.clips) producers.push(new ClipTTSProducer({ baseURL: config.clips }));
+  if (config.url) producers.push(new HttpTTSProducer(config));
+  return producers;
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TTSProducer, HttpTTSProducer, ClipTTSProducer, createTTSProducers };
+}
@@ -0,0 +1,396 @@
+/**
+ * Vocabulary Deck for Korean Classroom VR
+ * Logs the dictionary words heard and used in conversations and schedules reviews with SM-2
+ * spaced repetition. Students quiz the learner on due words (AIChat), and a review panel
+ * outside VR shows per-word stats and flashcards.
+ */
+
+// Used when a student has no quiz lines of its own; {word} and {gloss} are filled in
+const VOCABULARY_QUIZ_LINES = {
+  ask: [
+    'Do you remember what {word} means?',
+    'Quick question - what does {word} mean?'
+  ],
+  correct: [
+    'Yes! {word} means "{gloss}".',
+    'That\'s right, {word} is "{gloss}". 잘했어요!'
+  ],
+  wrong: [
+    'Not quite - {word} means "{gloss}".',
+    'Almost! {word} is "{gloss}".'
+  ]
+};
+
+// Words left out when comparing an answer with a gloss
+const GLOSS_STOP_WORDS = [
+  'a', 'an', 'the', 'to', 'i', 'it', 'its', "it's", 'is', 'be', 'of', 'and', 'or', 'you', 'my', 'your',
+  'means', 'mean', 'meaning', 'think', 'something', 'like', 'casual', 'polite'
+];
+
+const GIVE_UP_PATTERN = /\b(?:i )?(?:don'?t|do not|dunno) (?:know|remember)\b|\bno idea\b|\bforgot\b|모르|몰라|기억 안/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class VocabularyDeck {
+  constructor() {
+    this.config = {
+      learningDelayMinutes: 10,  // first quiz after a word is met, and retry after a miss
+      quizEveryTurns: 3,         // learner turns between quizzes
+      quizCooldownSeconds: 90,
+      ...(window.CLASSROOM_CONFIG?.vocabulary || {})
+    };
+    // word -> card
+    this.cards = {};
+    this.listeners = [];
+  }
+
+  load() {
+    const cards = Settings.get('vocabulary', {});
+    this.cards = cards && typeof cards === 'object' ? cards : {};
+    return this;
+  }
+
+  save() {
+    Settings.set('vocabulary', this.cards);
+    this.listeners.forEach(listener => listener());
+  }
+
+  // Called after every change to the deck
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Log the dictionary words found in a line; returns the words added to the deck for the first time
+  logText(text, now = Date.now()) {
+    const added = [];
+    let changed = false;
+
+    ((text || '').match(/[가-힣]+/g) || []).forEach(token => {
+      const entry = window.koreanDictionary?.lookup(token);
+      if (!entry) return;
+
+      let card = this.cards[entry.word];
+      if (!card) {
+        card = this.createCard(entry.word, entry.gloss, now);
+        this.cards[entry.word] = card;
+        added.push(entry.word);
+      }
+      card.seen++;
+      card.lastSeen = now;
+      changed = true;
+    });
+
+    if (changed) this.save();
+    return added;
+  }
+
+  createCard(word, gloss, now) {
+    return {
+      word,
+      gloss,
+      seen: 0,
+      firstSeen: now,
+      lastSeen: now,
+      ease: 2.5,
+      interval: 0,      // days
+      repetitions: 0,   // successful reviews in a row
+      due: now + this.config.learningDelayMinutes * 60 * 1000,
+      reviews: 0,
+      correct: 0,
+      lapses: 0,
+      lastReview: null
+    };
+  }
+
+  // SM-2: quality 0-5, where 3 and up is a successful recall
+  review(word, quality, now = Date.now()) {
+    const card = this.cards[word];
+    if (!card) return null;
+
+    quality = Math.max(0, Math.min(5, Math.round(quality)));
+    card.reviews++;
+    card.lastReview = now;
+
+    if (quality >= 3) {
+      card.correct++;
+      if (card.repetitions === 0) card.interval = 1;
+      else if (card.repetitions === 1) card.interval = 6;
+      else card.interval = Math.round(card.interval * card.ease);
+      card.repetitions++;
+      card.due = now + card.interval * DAY_MS;
+    } else {
+      // Missed: start over, and ask again later in the session
+      card.lapses++;
+      card.repetitions = 0;
+      card.interval = 0;
+      card.due = now + this.config.learningDelayMinutes * 60 * 1000;
+    }
+
+    card.ease = Math.max(1.3, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    this.save();
+    return card;
+  }
+
+  // Grade a typed or spoken answer to "what does <word> mean?"
+  // Returns { answered, correct, quality }; answered is false when the learner seems to be talking about something else
+  gradeAnswer(word, answer) {
+    const card = this.cards[word];
+    if (!card) return { answered: false, correct: false, quality: 0 };
+
+    if (GIVE_UP_PATTERN.test(answer)) {
+      return { answered: true, correct: false, quality: 0 };
+    }
+
+    const glossWords = this.contentWords(card.gloss);
+    const answerWords = this.contentWords(answer);
+    const correct = answerWords.some(w => glossWords.includes(w));
+    if (correct) {
+      return { answered: true, correct: true, quality: 4 };
+    }
+    return { answered: answerWords.length <= 6, correct: false, quality: 2 };
+  }
+
+  contentWords(text) {
+    return ((text || '').toLowerCase().match(/[a-z']+/g) || [])
+      .filter(w => !GLOSS_STOP_WORDS.includes(w))
+      .map(w => this.stem(w));
+  }
+
+  // Rough stemming so "studying" and "studies" match "study"
+  stem(word) {
+    if (/^.{3,}ing$/.test(word)) return word.slice(0, -3);
+    if (/^.{2,}ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/^.{3,}[^su]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // Cards due for review, most overdue first
+  getDue(now = Date.now()) {
+    return Object.values(this.cards)
+      .filter(card => card.due <= now)
+      .sort((a, b) => a.due - b.due);
+  }
+
+  getCards() {
+    return Object.values(this.cards);
+  }
+
+  // A quiz line for a student: their own roster lines when they have them
+  getQuizLine(npcId, kind, card) {
+    const own = STUDENT_PERSONALITIES[npcId]?.quiz?.[kind];
+    const lines = own && own.length > 0 ? own : VOCABULARY_QUIZ_LINES[kind];
+    const line = lines[Math.floor(Math.random() * lines.length)];
+    return line.replace(/\{word\}/g, card.word).replace(/\{gloss\}/g, card.gloss);
+  }
+
+  // Logs every line said in a conversation, the learner's and the students'
+  start() {
+    this.load();
+    document.querySelector('a-scene')?.addEventListener('chat-message-recorded', (e) => {
+      if (!e.detail.message.pronunciation) this.logText(e.detail.message.content);
+    });
+  }
+}
+
+// Review panel (2D page only): word list with stats and flashcards for due words
+class VocabularyPanel {
+  constructor(deck) {
+    this.deck = deck;
+    this.panel = null;
+    this.button = null;
+    this.reviewQueue = [];
+  }
+
+  init() {
+    this.button = document.createElement('button');
+    this.button.id = 'vocabulary-open';
+    this.button.title = 'Words from your conversations';
+    this.button.addEventListener('click', () => this.toggle());
+    document.body.appendChild(this.button);
+
+    this.deck.onChange(() => this.update());
+    // Due counts change with time as well as with the deck
+    setInterval(() => this.updateButton(), 30000);
+    this.updateButton();
+  }
+
+  toggle() {
+    if (this.panel) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'vocabulary-panel';
+    document.body.appendChild(this.panel);
+    this.reviewQueue = [];
+    this.render();
+  }
+
+  close() {
+    this.panel?.remove();
+    this.panel = null;
+  }
+
+  update() {
+    this.updateButton();
+    // Don't redraw under a flashcard that is being answered
+    if (this.panel && this.reviewQueue.length === 0) this.render();
+  }
+
+  updateButton() {
+    const due = this.deck.getDue().length;
+    const total = this.deck.getCards().length;
+    this.button.textContent = `📚 ${total} words${due > 0 ? ` · ${due} due` : ''}`;
+    this.button.classList.toggle('has-due', due > 0);
+  }
+
+  render() {
+    this.panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'vocabulary-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Vocabulary';
+    header.appendChild(title);
+
+    const close = document.createElement('button');
+    close.className = 'vocabulary-close';
+    close.textContent = '✕';
+    close.title = 'Close';
+    close.addEventListener('click', () => this.close());
+    header.appendChild(close);
+    this.panel.appendChild(header);
+
+    if (this.reviewQueue.length > 0) {
+      this.renderCard(this.reviewQueue[0]);
+      return;
+    }
+
+    const cards = this.deck.getCards();
+    const due = this.deck.getDue();
+
+    const summary = document.createElement('p');
+    summary.className = 'vocabulary-summary';
+    summary.textContent = cards.length === 0
+      ? 'Korean words from your conversations will collect here.'
+      : `${cards.length} words · ${due.length} due for review`;
+    this.panel.appendChild(summary);
+
+    if (due.length > 0) {
+      const review = document.createElement('button');
+      review.className = 'vocabulary-review';
+      review.textContent = `Review ${due.length} due word${due.length === 1 ? '' : 's'}`;
+      review.addEventListener('click', () => {
+        this.reviewQueue = due.map(card => card.word);
+        this.render();
+      });
+      this.panel.appendChild(review);
+    }
+
+    if (cards.length > 0) {
+      this.panel.appendChild(this.renderTable(cards));
+    }
+  }
+
+  renderTable(cards) {
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    ['Word', 'Meaning', 'Seen', 'Correct', 'Ease', 'Next review'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    const now = Date.now();
+    cards.slice().sort((a, b) => a.due - b.due).forEach(card => {
+      const row = body.insertRow();
+      row.classList.toggle('due', card.due <= now);
+
+      const word = row.insertCell();
+      word.textContent = card.word;
+      const roman = document.createElement('small');
+      roman.textContent = Hangul.romanize(card.word);
+      word.appendChild(roman);
+
+      row.insertCell().textContent = card.gloss;
+      row.insertCell().textContent = card.seen;
+      row.insertCell().textContent = card.reviews > 0 ? `${card.correct}/${card.reviews}` : '-';
+      row.insertCell().textContent = card.ease.toFixed(2);
+      row.insertCell().textContent = this.formatDue(card.due, now);
+    });
+    return table;
+  }
+
+  // Flashcard: the word first, then the meaning and a self-rating that feeds SM-2
+  renderCard(word) {
+    const card = this.deck.cards[word];
+    const box = document.createElement('div');
+    box.className = 'vocabulary-card';
+
+    const front = document.createElement('div');
+    front.className = 'vocabulary-word';
+    front.textContent = card.word;
+    box.appendChild(front);
+
+    const roman = document.createElement('small');
+    roman.textContent = Hangul.romanize(card.word);
+    box.appendChild(roman);
+
+    const back = document.createElement('div');
+    back.className = 'vocabulary-gloss hidden';
+    back.textContent = card.gloss;
+    box.appendChild(back);
+
+    const actions = document.createElement('div');
+    actions.className = 'vocabulary-actions';
+    const show = document.createElement('button');
+    show.textContent = 'Show meaning';
+    show.addEventListener('click', () => {
+      back.classList.remove('hidden');
+      show.remove();
+      [['Again', 1], ['Hard', 3], ['Good', 4], ['Easy', 5]].forEach(([label, quality]) => {
+        const rate = document.createElement('button');
+        rate.textContent = label;
+        rate.addEventListener('click', () => {
+          this.reviewQueue.shift();
+          this.deck.review(word, quality);
+          this.render();
+        });
+        actions.appendChild(rate);
+      });
+    });
+    actions.appendChild(show);
+    box.appendChild(actions);
+
+    const left = document.createElement('p');
+    left.className = 'vocabulary-summary';
+    left.textContent = `${this.reviewQueue.length} left`;
+    box.appendChild(left);
+
+    this.panel.appendChild(box);
+  }
+
+  formatDue(due, now) {
+    const diff = due - now;
+    if (diff <= 0) return 'now';
+    const minutes = Math.round(diff / 60000);
+    if (minutes < 60) return `in ${minutes} min`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `in ${hours} h`;
+    return `in ${Math.round(hours / 24)} days`;
+  }
+}
+
+// Create global deck and panel
+window.vocabularyDeck = new VocabularyDeck();
+window.vocabularyPanel = new VocabularyPanel(window.vocabularyDeck);
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VocabularyDeck, VOCABULARY_QUIZ_LINES };
+}
@@ -0,0 +1,306 @@
+/**
+ * VR Chat Panel for Korean Classroom VR
+ * World-space transcript and controls shown inside the headset
+ */
+
+// Mirrors the 2D chat UI onto a canvas texture (canvas text renders Hangul, a-text does not)
+// and floats it beside the active NPC, or above the left controller
+AFRAME.registerComponent('vr-chat-panel', {
+  schema: {
+    anchor: { type: 'string', default: 'npc', oneOf: ['npc', 'hand'] },
+    hand: { type: 'selector', default: '#left-hand' },
+    width: { type: 'number', default: 0.9 },
+    height: { type: 'number', default: 0.56 },
+    maxMessages: { type: 'int', default: 8 }
+  },
+
+  init: function () {
+    this.messages = [];
+    this.npcName = '';
+    this.inVR = false;
+    this.inConversation = false;
+    this.recording = false;
+    this.dirty = true;
+    this.lastDraw = 0;
+
+    this.camera = document.querySelector('#camera');
+    this.tmpTarget = new THREE.Vector3();
+    this.tmpCamera = new THREE.Vector3();
+    this.tmpSide = new THREE.Vector3();
+
+    this.createScreen();
+    this.createButtons();
+    this.bindEvents();
+    this.updateVisibility();
+  },
+
+  createScreen: function () {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1024;
+    this.canvas.height = Math.round(1024 * this.data.height / this.data.width);
+    this.ctx = this.canvas.getContext('2d');
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    if ('colorSpace' in this.texture) {
+      this.texture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    this.screen = document.createElement('a-entity');
+    this.screen.setAttribute('geometry', {
+      primitive: 'plane',
+      width: this.data.width,
+      height: this.data.height
+    });
+    this.screen.setAttribute('material', { shader: 'flat', transparent: true });
+    this.screen.addEventListener('object3dset', () => {
+      const mesh = this.screen.getObject3D('mesh');
+      if (mesh) {
+        mesh.material.map = this.texture;
+        mesh.material.needsUpdate = true;
+      }
+    });
+    this.el.appendChild(this.screen);
+  },
+
+  createButtons: function () {
+    const y = -this.data.height / 2 - 0.06;
+    const make = (label, x, onClick) => {
+      const button = document.createElement('a-entity');
+      button.setAttribute('position', `${x} ${y} 0`);
+      button.setAttribute('vr-button', { label, width: 0.26, height: 0.08 });
+      button.addEventListener('click', onClick);
+      button.addEventListener('loaded', () => this.updateVisibility());
+      this.el.appendChild(button);
+      return button;
+    };
+
+    this.micButton = make('MIC', -0.3, () => window.aiChat?.toggleRecording());
+    this.endButton = make('END', 0, () => window.aiChat?.endConversation());
+    this.replayButton = make('REPLAY', 0.3, () => window.aiChat?.replayLastLine());
+    this.buttons = [this.micButton, this.endButton, this.replayButton];
+  },
+
+  bindEvents: function () {
+    const scene = this.el.sceneEl;
+    this.handlers = {
+      'enter-vr': () => { this.inVR = true; this.updateVisibility(); },
+      'exit-vr': () => { this.inVR = false; this.updateVisibility(); },
+      'chat-conversation-started': (e) => {
+        this.inConversation = true;
+        this.npcId = e.detail.npcId;
+        this.npcName = `${e.detail.config.name} (${e.detail.config.nameKorean})`;
+        this.updateVisibility();
+      },
+      'chat-conversation-ended': () => {
+        this.inConversation = false;
+        this.npcId = null;
+        this.updateVisibility();
+      },
+      'chat-messages-cleared': () => { this.messages = []; this.dirty = true; },
+      'chat-message-added': (e) => {
+        this.messages.push({ ...e.detail });
+        if (this.messages.length > 50) this.messages.shift();
+        this.dirty = true;
+      },
+      'chat-message-updated': (e) => {
+        const msg = this.messages.find(m => m.id === e.detail.id);
+        if (!msg) return;
+        if (e.detail.content !== undefined) msg.content = e.detail.content;
+        if (e.detail.interrupted) msg.interrupted = true;
+        if (e.detail.syllables) msg.syllables = e.detail.syllables;
+        this.dirty = true;
+      },
+      'chat-message-removed': (e) => {
+        this.messages = this.messages.filter(m => m.id !== e.detail.id);
+        this.dirty = true;
+      },
+      'chat-recording-changed': (e) => {
+        this.recording = e.detail.recording;
+        this.micButton.setAttribute('vr-button', {
+          label: this.recording ? 'REC' : 'MIC',
+          active: this.recording,
+          activeColor: '#ff4757'
+        });
+        this.dirty = true;
+      }
+    };
+
+    Object.entries(this.handlers).forEach(([name, handler]) => scene.addEventListener(name, handler));
+  },
+
+  remove: function () {
+    Object.entries(this.handlers).forEach(([name, handler]) => {
+      this.el.sceneEl.removeEventListener(name, handler);
+    });
+    this.texture.dispose();
+  },
+
+  updateVisibility: function () {
+    const visible = this.inVR && this.inConversation;
+    this.el.object3D.visible = visible;
+
+    // Hidden buttons must not catch laser clicks
+    this.buttons?.forEach(button => button.classList.toggle('vr-ui', visible));
+    this.dirty = true;
+  },
+
+  tick: function (time) {
+    if (!this.el.object3D.visible) return;
+
+    this.updatePlacement();
+
+    // Streaming replies update often; redraw at most ten times a second
+    if (this.dirty && time - this.lastDraw > 100) {
+      this.draw();
+      this.lastDraw = time;
+      this.dirty = false;
+    }
+  },
+
+  updatePlacement: function () {
+    if (!this.camera) return;
+    this.camera.object3D.getWorldPosition(this.tmpCamera);
+
+    const npc = this.npcId && window.npcManager?.getNPC(this.npcId);
+    const object3D = this.el.object3D;
+
+    if (this.data.anchor === 'hand' && this.data.hand) {
+      // Float above the left controller
+      this.data.hand.object3D.getWorldPosition(this.tmpTarget);
+      object3D.position.set(this.tmpTarget.x, this.tmpTarget.y + 0.35, this.tmpTarget.z);
+    } else if (npc) {
+      // Beside the NPC (to the learner's right), at standing eye level
+      npc.el.object3D.getWorldPosition(this.tmpTarget);
+      this.tmpSide.set(this.tmpCamera.z - this.tmpTarget.z, 0, this.tmpTarget.x - this.tmpCamera.x).normalize();
+      object3D.position.set(
+        this.tmpTarget.x + this.tmpSide.x * 0.7,
+        1.35,
+        this.tmpTarget.z + this.tmpSide.z * 0.7
+      );
+    }
+
+    // Turn to face the learner (yaw only)
+    object3D.rotation.set(0, Math.atan2(
+      this.tmpCamera.x - object3D.position.x,
+      this.tmpCamera.z - object3D.position.z
+    ), 0);
+  },
+
+  draw: function () {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    const padding = 28;
+    const lineHeight = 34;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(30, 30, 50, 0.92)';
+    this.roundRect(0, 0, width, height, 32);
+    ctx.fill();
+
+    // Header
+    ctx.font = 'bold 30px sans-serif';
+    ctx.fillStyle = '#4CC3D9';
+    ctx.textAlign = 'center';
+    ctx.fillText(`Talking to: ${this.npcName}`, width / 2, padding + 24);
+    if (this.recording) {
+      ctx.fillStyle = '#ff4757';
+      ctx.fillText('● Listening', width / 2, padding + 62);
+    }
+    ctx.textAlign = 'left';
+
+    // Messages, newest at the bottom; older ones are dropped when they don't fit
+    const top = padding + (this.recording ? 84 : 48);
+    const bubbleWidth = width * 0.72;
+    ctx.font = '28px sans-serif';
+
+    let y = height - padding;
+    const recent = this.messages.slice(-this.data.maxMessages);
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const msg = recent[i];
+      const style = this.getBubbleStyle(msg);
+      const lines = this.wrapText(style.text, bubbleWidth - 32);
+      const extraLines = msg.syllables ? 1 : 0;
+      const bubbleHeight = (lines.length + extraLines) * lineHeight + 20;
+
+      if (y - bubbleHeight < top) break;
+      y -= bubbleHeight;
+
+      const x = (msg.type === 'user' || msg.type === 'peer') ? width - padding - bubbleWidth : padding;
+      ctx.fillStyle = style.background;
+      this.roundRect(x, y, bubbleWidth, bubbleHeight, 16);
+      ctx.fill();
+
+      ctx.fillStyle = style.color;
+      lines.forEach((line, n) => ctx.fillText(line, x + 16, y + 10 + (n + 0.8) * lineHeight));
+
+      // Pronunciation result: target syllables in green (correct) or red (wrong)
+      if (msg.syllables) {
+        let sx = x + 16;
+        const sy = y + 10 + (lines.length + 0.8) * lineHeight;
+        msg.syllables.forEach(syllable => {
+          ctx.fillStyle = syllable.correct ? '#4caf50' : '#ff6b81';
+          ctx.fillText(syllable.char, sx, sy);
+          sx += ctx.measureText(syllable.char).width + 4;
+        });
+      }
+      y -= 12;
+    }
+
+    this.texture.needsUpdate = true;
+  },
+
+  getBubbleStyle: function (msg) {
+    const suffix = msg.interrupted ? ' (interrupted)' : '';
+    switch (msg.type) {
+      case 'user':
+        return { background: '#357ABD', color: '#FFFFFF', text: msg.content };
+      case 'system':
+        return { background: 'rgba(255, 193, 7, 0.25)', color: '#ffc107', text: msg.content };
+      case 'peer':
+        return { background: 'rgba(76, 195, 217, 0.2)', color: '#d0eef4', text: msg.content };
+      case 'interjection':
+        return { background: 'rgba(255, 255, 255, 0.06)', color: '#b0b0c0', text: msg.content };
+      case 'loading':
+        return { background: 'rgba(255, 255, 255, 0.05)', color: '#888888', text: `${msg.content}...` };
+      default:
+        return { background: 'rgba(255, 255, 255, 0.12)', color: '#e0e0e0', text: msg.content + suffix };
+    }
+  },
+
+  // Word wrap that also breaks long Hangul runs, which often have no spaces
+  wrapText: function (text, maxWidth) {
+    const ctx = this.ctx;
+    const lines = [];
+    let line = '';
+
+    for (const word of (text || ' ').split(/(\s+)/)) {
+      if (ctx.measureText(line + word).width <= maxWidth) {
+        line += word;
+        continue;
+      }
+      if (line.trim()) lines.push(line.trim());
+      line = '';
+
+      for (const char of word.trimStart()) {
+        if (ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    if (line.trim() || lines.length === 0) lines.push(line.trim());
+    return lines;
+  },
+
+  roundRect: function (x, y, w, h, r) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+});
@@ -0,0 +1,231 @@
+/**
+ * VR UI components for Korean Classroom VR
+ * Laser-clickable buttons and the wrist menu used inside the headset
+ */
+
+// Flat button that can be pressed with the controller laser or the cursor
+AFRAME.registerComponent('vr-button', {
+  schema: {
+    label: { type: 'string', default: '' },
+    width: { type: 'number', default: 0.2 },
+    height: { type: 'number', default: 0.07 },
+    color: { type: 'color', default: '#2a2a4a' },
+    activeColor: { type: 'color', default: '#4CC3D9' },
+    hoverColor: { type: 'color', default: '#3a3a6a' },
+    active: { type: 'boolean', default: false }
+  },
+
+  init: function () {
+    this.hovered = false;
+    this.el.classList.add('vr-ui');
+
+    this.el.setAttribute('geometry', {
+      primitive: 'plane',
+      width: this.data.width,
+      height: this.data.height
+    });
+
+    this.label = document.createElement('a-entity');
+    this.label.setAttribute('position', '0 0 0.002');
+    this.el.appendChild(this.label);
+
+    this.el.addEventListener('mouseenter', () => {
+      this.hovered = true;
+      this.updateColor();
+    });
+    this.el.addEventListener('mouseleave', () => {
+      this.hovered = false;
+      this.updateColor();
+    });
+  },
+
+  update: function () {
+    this.el.setAttribute('geometry', { width: this.data.width, height: this.data.height });
+    this.label.setAttribute('text', {
+      value: this.data.label,
+      align: 'center',
+      color: '#FFFFFF',
+      width: this.data.width * 4,
+      wrapCount: 12
+    });
+    this.updateColor();
+  },
+
+  updateColor: function () {
+    let color = this.data.color;
+    if (this.data.active) color = this.data.activeColor;
+    else if (this.hovered) color = this.data.hoverColor;
+
+    this.el.setAttribute('material', { color, shader: 'flat', opacity: 0.95, transparent: true });
+  }
+});
+
+// Wrist menu on the left controller, toggled with the X button
+// Tracked hands have no X button, so a MENU button on the wrist toggles it instead: look at it
+// (gaze-dwell) or pinch at it with the other hand
+// Sections are added at runtime: a title and a row of vr-buttons with one selected value
+// Sections go on pages (addPage) so the panel stays a few rows tall; tabs above them switch pages
+AFRAME.registerComponent('vr-menu', {
+  schema: {
+    visible: { type: 'boolean', default: false },
+    hand: { type: 'string', default: 'left', oneOf: ['left', 'right'] }
+  },
+
+  init: function () {
+    this.sections = {};
+    // page id -> { el, tab, rowCount, buttons }, in the order the tabs show
+    this.pages = {};
+    this.currentPage = null;
+
+    this.panel = document.createElement('a-entity');
+    this.panel.setAttribute('position', '0 0.08 -0.12');
+    this.panel.setAttribute('rotation', '-50 0 0');
+    this.el.appendChild(this.panel);
+
+    this.tabs = document.createElement('a-entity');
+    this.tabs.setAttribute('position', '0 0.12 0');
+    this.panel.appendChild(this.tabs);
+
+    this.onToggle = () => this.setVisible(!this.visible);
+    this.el.addEventListener('xbuttondown', this.onToggle);
+
+    this.wristButton = document.createElement('a-entity');
+    this.wristButton.setAttribute('position', '0 0.03 0.04');
+    this.wristButton.setAttribute('rotation', '-50 0 0');
+    this.wristButton.setAttribute('vr-button', { label: 'MENU', width: 0.07, height: 0.035 });
+    this.wristButton.addEventListener('click', this.onToggle);
+    this.wristButton.addEventListener('loaded', () => this.updateWristButton());
+    this.el.appendChild(this.wristButton);
+
+    // Hands and controllers can be swapped mid-session
+    this.session = null;
+    this.onInputSourcesChange = () => this.updateWristButton();
+    this.onEnterVR = () => {
+      this.session = this.el.sceneEl.renderer.xr.getSession?.() || null;
+      this.session?.addEventListener('inputsourceschange', this.onInputSourcesChange);
+      this.updateWristButton();
+    };
+    this.onExitVR = () => {
+      this.session?.removeEventListener('inputsourceschange', this.onInputSourcesChange);
+      this.session = null;
+      this.updateWristButton();
+    };
+    this.el.sceneEl.addEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.addEventListener('exit-vr', this.onExitVR);
+
+    this.setVisible(this.data.visible);
+  },
+
+  remove: function () {
+    this.el.removeEventListener('xbuttondown', this.onToggle);
+    this.el.sceneEl.removeEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.removeEventListener('exit-vr', this.onExitVR);
+    this.session?.removeEventListener('inputsourceschange', this.onInputSourcesChange);
+  },
+
+  // Shown only while this hand is tracked as a hand rather than held controller
+  updateWristButton: function () {
+    const handTracked = !!this.session && Array.from(this.session.inputSources)
+      .some(input => input.hand && input.handedness === this.data.hand);
+    this.wristButton.object3D.visible = handTracked;
+    this.wristButton.classList.toggle('vr-ui', handTracked);
+  },
+
+  setVisible: function (visible) {
+    this.visible = visible;
+    this.panel.object3D.visible = visible;
+    this.updateClickable();
+  },
+
+  // Hidden buttons must not catch laser clicks: only the open page's buttons and the tabs count
+  updateClickable: function () {
+    const pages = Object.entries(this.pages);
+    this.tabs.object3D.visible = pages.length > 1;
+
+    pages.forEach(([id, page]) => {
+      const open = id === this.currentPage;
+      page.el.object3D.visible = open;
+      page.tab.classList.toggle('vr-ui', this.visible && pages.length > 1);
+      page.buttons.forEach(button => button.classList.toggle('vr-ui', this.visible && open));
+    });
+  },
+
+  // A page of sections with a tab to open it; the first page added opens first
+  addPage: function (id, label) {
+    const el = document.createElement('a-entity');
+    this.panel.appendChild(el);
+
+    const tab = document.createElement('a-entity');
+    tab.setAttribute('vr-button', { label, width: 0.09, height: 0.04 });
+    tab.addEventListener('click', () => this.showPage(id));
+    tab.addEventListener('loaded', () => this.updateClickable());
+    this.tabs.appendChild(tab);
+
+    this.pages[id] = { el, tab, rowCount: 0, buttons: [] };
+    this.layoutRow(Object.values(this.pages).map(page => page.tab), 0);
+    if (!this.currentPage) this.currentPage = id;
+    this.showPage(this.currentPage);
+  },
+
+  showPage: function (id) {
+    if (!this.pages[id]) return;
+    this.currentPage = id;
+    Object.entries(this.pages).forEach(([pageId, page]) => {
+      page.tab.setAttribute('vr-button', 'active', pageId === id);
+    });
+    this.updateClickable();
+  },
+
+  // Centre buttons side by side on one row
+  layoutRow: function (buttons, y, buttonWidth = 0.09, gap = 0.01) {
+    const rowWidth = buttons.length * buttonWidth + (buttons.length - 1) * gap;
+    buttons.forEach((button, i) => {
+      button.setAttribute('position', `${-rowWidth / 2 + buttonWidth / 2 + i * (buttonWidth + gap)} ${y} 0`);
+    });
+  },
+
+  // options: [{ value, label }], onSelect(value) runs when a button is pressed
+  // The section goes on the given page, or the last page added (a single untabbed page if there is none)
+  addSection: function (id, title, options, onSelect, selected, pageId) {
+    if (Object.keys(this.pages).length === 0) this.addPage('main', '');
+    const page = this.pages[pageId] || Object.values(this.pages).pop();
+    const y = -page.rowCount * 0.12;
+    page.rowCount++;
+
+    const titleEl = document.createElement('a-entity');
+    titleEl.setAttribute('position', `0 ${y + 0.05} 0`);
+    titleEl.setAttribute('text', { value: title, align: 'center', color: '#4CC3D9', width: 0.6 });
+    page.el.appendChild(titleEl);
+
+    const buttons = options.map(option => {
+      const button = document.createElement('a-entity');
+      button.setAttribute('vr-button', {
+        label: option.label,
+        width: 0.09,
+        height: 0.05,
+        active: option.value === selected
+      });
+      button.addEventListener('click', () => {
+        this.setSelected(id, option.value);
+        onSelect(option.value);
+      });
+      // vr-button adds the class on init, so sync it with the menu once loaded
+      button.addEventListener('loaded', () => this.updateClickable());
+      page.el.appendChild(button);
+      page.buttons.push(button);
+      return { value: option.value, el: button };
+    });
+    this.layoutRow(buttons.map(button => button.el), y);
+
+    this.sections[id] = { buttons };
+  },
+
+  setSelected: function (id, value) {
+    const section = this.sections[id];
+    if (!section) return;
+
+    section.buttons.forEach(button => {
+      button.el.setAttribute('vr-button', 'active', button.value === value);
+    });
+  }
+});
@@ -0,0 +1,138 @@
+/**
+ * WebSocket relay for Korean Classroom VR
+ * Passes messages between the clients in a classroom; it keeps no scene state of its own
+ *
+ * Usage: npm run relay  (PORT=8081 by default)
+ *   TEACHER_TOKEN=<secret> sets the token teachers and dashboards join with; without it a random
+ *   token is printed at startup. Clients asking to be a teacher without it join as students.
+ *
+ * Protocol (JSON):
+ *   client -> relay  { type: 'join', room, role, name, token? }     first message on a connection
+ *   relay -> client  { type: 'welcome', peerId, role, peers: [{ peerId, role, name }] }   role as granted
+ *   relay -> others  { type: 'peer-joined', peerId, role, name } / { type: 'peer-left', peerId }
+ *   any other message is stamped with `from` and sent to the peer named in `to`,
+ *   or to everyone else in the room when there is no `to`; clients can't send the relay's own types
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 8081;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// Only the relay sends these; a client sending one could reset everyone's peer list
+const RESERVED_TYPES = new Set(['join', 'welcome', 'peer-joined', 'peer-left']);
+// Teachers own the NPC replies and send prompts to learners, so the role is not taken on trust
+const TEACHER_TOKEN = process.env.TEACHER_TOKEN || crypto.randomBytes(9).toString('base64url');
+
+// room name -> Map(peerId -> { socket, role, name })
+const rooms = new Map();
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message, exceptId) {
+  rooms.get(room)?.forEach((peer, peerId) => {
+    if (peerId !== exceptId) send(peer.socket, message);
+  });
+}
+
+function isTeacherToken(token) {
+  const given = Buffer.from(String(token || ''));
+  const expected = Buffer.from(TEACHER_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function join(socket, message) {
+  const room = /^[\w-]{1,64}$/.test(message.room || '') ? message.room : 'default';
+  const peerId = crypto.randomBytes(6).toString('hex');
+  const role = message.role === 'teacher' && isTeacherToken(message.token) ? 'teacher' : 'student';
+  const name = String(message.name || '').slice(0, 40) || `${role}-${peerId.slice(0, 4)}`;
+  if (message.role === 'teacher' && role !== 'teacher') {
+    console.log(`[${room}] ${name} asked to be a teacher without the teacher token`);
+  }
+
+  if (!rooms.has(room)) rooms.set(room, new Map());
+  const peers = rooms.get(room);
+
+  send(socket, {
+    type: 'welcome',
+    peerId,
+    role,
+    peers: Array.from(peers, ([id, peer]) => ({ peerId: id, role: peer.role, name: peer.name }))
+  });
+
+  peers.set(peerId, { socket, role, name });
+  broadcast(room, { type: 'peer-joined', peerId, role, name }, peerId);
+  console.log(`[${room}] ${name} (${role}) joined as ${peerId} - ${peers.size} connected`);
+
+  return { room, peerId };
+}
+
+function leave(session) {
+  const peers = rooms.get(session.room);
+  if (!peers) return;
+
+  peers.delete(session.peerId);
+  broadcast(session.room, { type: 'peer-left', peerId: session.peerId });
+  console.log(`[${session.room}] ${session.peerId} left - ${peers.size} connected`);
+
+  if (peers.size === 0) rooms.delete(session.room);
+}
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_BYTES });
+
+server.on('connection', (socket) => {
+  let session = null;
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    if (!session) {
+      if (message.type === 'join') session = join(socket, message);
+      return;
+    }
+    if (RESERVED_TYPES.has(message.type)) return;
+
+    const outgoing = { ...message, from: session.peerId };
+    if (message.to) {
+      const target = rooms.get(session.room)?.get(message.to);
+      if (target) send(target.socket, outgoing);
+    } else {
+      broadcast(session.room, outgoing, session.peerId);
+    }
+  });
+
+  socket.on('close', () => {
+    if (session) leave(session);
+  });
+});
+
+// Drop connections that stopped answering pings (headset went to sleep, network lost)
+const heartbeat = setInterval(() => {
+  server.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, 30000);
+
+server.on('close', () => clearInterval(heartbeat));
+
+console.log(`Classroom relay listening on ws://localhost:${PORT}`);
+if (!process.env.TEACHER_TOKEN) {
+  console.log(`Teacher token for this run: ${TEACHER_TOKEN} (add &token=${TEACHER_TOKEN} to teacher and dashboard URLs)`);
+}
@@ -0,0 +1,186 @@
+/**
+ * Service worker for Korean Classroom VR
+ * Precaches the app shell, scripts, textures and classroom data so the headset can start the
+ * classroom without a network. Reports precache progress to the page (see js/offline.js).
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS or a cached file changes.
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `korean-classroom-${CACHE_VERSION}`;
+
+// Keep in step with the <script> and <img> tags in index.html
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/ui.css',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png',
+
+  'https://aframe.io/releases/1.5.0/aframe.min.js',
+  'https://cdn.jsdelivr.net/npm/aframe-extras@7.2.0/dist/aframe-extras.min.js',
+  'https://cdn.aframe.io/a-painter/images/floor.jpg',
+  'https://cdn.aframe.io/a-painter/images/sky.jpg',
+
+  'js/loading-progress.js',
+  'js/offline.js',
+  'js/settings.js',
+  'js/hangul.js',
+  'js/pronunciation.js',
+  'js/emotion.js',
+  'js/dictionary.js',
+  'js/annotations.js',
+  'js/vocabulary.js',
+  'js/vr-ui.js',
+  'js/vr-chat-panel.js',
+  'js/hand-gestures.js',
+  'js/hand-input.js',
+  'js/classroom-layout.js',
+  'js/locomotion.js',
+  'js/seating.js',
+  'js/lip-sync.js',
+  'js/npc-animation.js',
+  'js/npc-system.js',
+  'js/roster.js',
+  'js/fetch-timeout.js',
+  'js/llm-provider.js',
+  'js/tts-producer.js',
+  'js/spatial-voice.js',
+  'js/conversation-store.js',
+  'js/conversation-memory.js',
+  'js/transport.js',
+  'js/network.js',
+  'js/session-telemetry.js',
+  'js/intent-classifier.js',
+  'js/lesson-runner.js',
+  'js/classroom-director.js',
+  'js/class-schedule.js',
+  'js/ambient-audio.js',
+  'js/ai-chat.js',
+  'js/main.js',
+
+  'data/dictionary.json',
+  'data/intents.json',
+  'data/schedule.json',
+  'data/rosters/default.json',
+  'data/lessons/index.json',
+  'data/lessons/greetings.json',
+  'data/lessons/school-subjects.json'
+];
+
+// Teachers edit these between lessons, so the network copy wins whenever there is one
+const NETWORK_FIRST = /\/data\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('korean-classroom-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Files are cached one by one so a single missing file doesn't fail the whole install
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  const failed = [];
+  let done = 0;
+
+  await Promise.all(PRECACHE_URLS.map(async url => {
+    try {
+      if (!(await cache.match(url))) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        await cache.put(url, response);
+      }
+    } catch (e) {
+      failed.push(url);
+    }
+    done++;
+    await report({ type: 'precache-progress', done, total: PRECACHE_URLS.length });
+  }));
+
+  await report({ type: 'precache-complete', total: PRECACHE_URLS.length, failed });
+}
+
+// The page isn't controlled yet during the first install, so include uncontrolled clients
+async function report(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+self.addEventListener('message', (event) => {
+  // Sent by a page that opened after the install finished
+  if (event.data?.type === 'precache-status') {
+    event.waitUntil(missingFromCache().then(failed => {
+      event.source?.postMessage({ type: 'precache-complete', total: PRECACHE_URLS.length, failed });
+    }));
+  }
+});
+
+async function missingFromCache() {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await Promise.all(PRECACHE_URLS.map(url => cache.match(url)));
+  return PRECACHE_URLS.filter((url, i) => !cached[i]);
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  // LLM, TTS and relay traffic is never cached
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (!sameOrigin && !PRECACHE_URLS.includes(request.url)) return;
+
+  if (sameOrigin && NETWORK_FIRST.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && new URL(request.url).origin === self.location.origin) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    return offlineResponse(request);
+  }
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+      return response;
+    }
+    return (await caches.match(request)) || response;
+  } catch (e) {
+    return (await caches.match(request)) || offlineResponse(request);
+  }
+}
+
+// Offline and not cached: pages get the cached app, everything else a 503 the app treats as missing
+async function offlineResponse(request) {
+  if (request.mode === 'navigate') {
+    const shell = await caches.match('index.html');
+    if (shell) return shell;
+  }
+  return new Response('', { status: 503, statusText: 'Offline' });
+}
@@ -0,0 +1,32 @@
+/**
+ * Tests for js/emotion.js
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Emotion } = require('../js/emotion.js');
+
+test('parse splits a known tag off the reply', () => {
+  assert.deepStrictEqual(Emotion.parse('[shy] Um, hi...'), { emotion: 'shy', text: 'Um, hi...' });
+  assert.deepStrictEqual(Emotion.parse('[angry] No.'), { emotion: null, text: 'No.' });
+  assert.deepStrictEqual(Emotion.parse('[hap'), { emotion: null, text: '' });
+});
+
+test('tag finds the emotion from cues in the text', () => {
+  assert.strictEqual(Emotion.tag('ㅋㅋㅋ that is so funny'), 'laughing');
+  assert.strictEqual(Emotion.tag('I have an exam tomorrow'), 'stressed');
+  assert.strictEqual(Emotion.tag('I love K-pop, it is great'), 'happy');
+});
+
+test('a reply without cues is calm, and an exclamation mark alone is not happy', () => {
+  assert.strictEqual(Emotion.tag('I live in Seoul.'), 'calm');
+  assert.strictEqual(Emotion.tag('Hello!'), 'calm');
+  assert.strictEqual(Emotion.tag(''), 'calm');
+});
+
+test('calm replies nod unless the roster says otherwise', () => {
+  assert.strictEqual(Emotion.reactionFor('calm'), 'nod');
+  assert.strictEqual(Emotion.reactionFor('calm', { emotions: { calm: 'tilt' } }), 'tilt');
+  assert.strictEqual(Emotion.reactionFor('happy', { emotions: { happy: 'nod' } }), 'nod');
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for js/fetch-timeout.js against a local HTTP server
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { fetchWithTimeout } = require('../js/fetch-timeout.js');
+
+// /ok answers at once, /slow sends a chunk every 100 ms for 600 ms,
+// /stall sends its headers and never finishes the body, /error is a 500
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/ok') {
+      res.end('hello');
+    } else if (req.url === '/slow') {
+      let sent = 0;
+      const timer = setInterval(() => {
+        res.write(String(sent));
+        if (++sent === 6) {
+          clearInterval(timer);
+          res.end();
+        }
+      }, 100);
+      res.on('close', () => clearInterval(timer));
+    } else if (req.url === '/stall') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('he');
+    } else {
+      res.writeHead(500);
+      res.end();
+    }
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('fetchWithTimeout', async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  await t.test('reads the body within the time limit', async () => {
+    const text = await fetchWithTimeout(`${base}/ok`, {}, { timeout: 1000, read: response => response.text() });
+    assert.strictEqual(text, 'hello');
+  });
+
+  await t.test('gives up on a body that stalls after the headers', async () => {
+    await assert.rejects(
+      fetchWithTimeout(`${base}/stall`, {}, { timeout: 200, read: response => response.text() }),
+      e => e.unreachable === true
+    );
+  });
+
+  await t.test('a body slower than the limit is cut off unless the reader keeps it alive', async () => {
+    await assert.rejects(
+      fetchWithTimeout(`${base}/slow`, {}, { timeout: 250, read: response => response.text() }),
+      e => e.unreachable === true
+    );
+
+    const text = await fetchWithTimeout(`${base}/slow`, {}, {
+      timeout: 250,
+      read: async (response, keepAlive) => {
+        const reader = response.body.getReader();
+        let body = '';
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) return body;
+          keepAlive();
+          body += Buffer.from(value).toString();
+        }
+      }
+    });
+    assert.strictEqual(text, '012345');
+  });
+
+  await t.test('a cancel is not unreachable', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(
+      fetchWithTimeout(`${base}/stall`, {}, {
+        timeout: 1000,
+        signal: controller.signal,
+        read: response => response.text()
+      }),
+      e => !e.unreachable
+    );
+  });
+
+  await t.test('an already cancelled request is not sent', async () => {
+    let requests = 0;
+    const count = () => requests++;
+    server.on('request', count);
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+      fetchWithTimeout(`${base}/ok`, {}, { timeout: 1000, signal: controller.signal }),
+      e => e.name === 'AbortError' && !e.unreachable
+    );
+    server.off('request', count);
+    assert.strictEqual(requests, 0);
+  });
+
+  await t.test('a bad reply is not unreachable', async () => {
+    await assert.rejects(
+      fetchWithTimeout(`${base}/error`, {}, {
+        timeout: 1000,
+        read: response => {
+          if (!response.ok) throw new Error(`status ${response.status}`);
+          return response.text();
+        }
+      }),
+      e => e.message === 'status 500' && !e.unreachable
+    );
+  });
+
+  await t.test('an unreachable server is marked so', async () => {
+    await assert.rejects(
+      fetchWithTimeout('http://127.0.0.1:1/', {}, { timeout: 1000 }),
+      e => e.unreachable === true
+    );
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for js/hand-gestures.js, replaying joint poses recorded with classroomVR.recordHandPoses()
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HandGestures, HandGestureTracker, HAND_GESTURE_DEFAULTS } = require('../js/hand-gestures.js');
+const pinch = require('./fixtures/hand-pinch.json');
+const raise = require('./fixtures/hand-raise.json');
+const open = require('./fixtures/hand-open.json');
+
+const types = events => events.map(event => event.type);
+
+test('a pinch clicks once, even while the fingers jitter', () => {
+  const events = HandGestures.replay(pinch.right);
+  assert.deepStrictEqual(types(events), ['pinchstart', 'pinchend']);
+
+  // Let go only once the fingers are properly apart again (hysteresis)
+  const release = pinch.right.find(frame => frame.t === events[1].t);
+  assert.ok(HandGestures.pinchDistance(release.hand) > HAND_GESTURE_DEFAULTS.pinchEnd);
+});
+
+test('a raised hand counts once it has been held up, then lowers', () => {
+  const events = HandGestures.replay(raise.right);
+  assert.deepStrictEqual(types(events), ['raise', 'lower']);
+
+  const firstUp = raise.right.find(frame => HandGestures.isRaised(frame.hand, frame.head));
+  assert.ok(events[0].t - firstUp.t >= HAND_GESTURE_DEFAULTS.raiseHold);
+});
+
+test('a raise shorter than raiseHold is ignored', () => {
+  const events = HandGestures.replay(raise.right, { raiseHold: 5000 });
+  assert.deepStrictEqual(events, []);
+});
+
+test('an open hand held in front is neither a pinch nor a raise', () => {
+  assert.ok(open.right.every(frame => HandGestures.isOpen(frame.hand)));
+  assert.deepStrictEqual(HandGestures.replay(open.right), []);
+});
+
+test('a hand resting at the side makes no gestures', () => {
+  [pinch, raise, open].forEach(recording => {
+    assert.deepStrictEqual(HandGestures.replay(recording.left), []);
+  });
+});
+
+test('losing tracking mid-gesture lets go', () => {
+  const tracker = new HandGestureTracker();
+  const start = pinch.right.findIndex(frame => HandGestures.isPinching(frame.hand));
+  pinch.right.slice(0, start + 1).forEach(frame => tracker.update(frame));
+
+  const lost = { ...pinch.right[start + 1], hand: null };
+  assert.deepStrictEqual(tracker.update(lost), ['pinchend']);
+});
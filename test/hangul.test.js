@@ -0,0 +1,60 @@
+/**
+ * Tests for js/hangul.js
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Hangul } = require('../js/hangul.js');
+
+test('decompose splits a syllable block into its jamo', () => {
+  assert.deepStrictEqual(Hangul.decompose('한'), { initial: 'ㅎ', medial: 'ㅏ', final: 'ㄴ' });
+  assert.deepStrictEqual(Hangul.decompose('가'), { initial: 'ㄱ', medial: 'ㅏ', final: '' });
+  assert.deepStrictEqual(Hangul.decompose('읽'), { initial: 'ㅇ', medial: 'ㅣ', final: 'ㄺ' });
+  assert.strictEqual(Hangul.decompose('a'), null);
+  assert.strictEqual(Hangul.decompose('ㅎ'), null);
+});
+
+test('compose is the inverse of decompose', () => {
+  Array.from('안녕하세요 감사합니다 읽었어요').filter(char => Hangul.isSyllable(char)).forEach(char => {
+    const { initial, medial, final } = Hangul.decompose(char);
+    assert.strictEqual(Hangul.compose(initial, medial, final), char);
+  });
+  assert.strictEqual(Hangul.compose('a', 'ㅏ'), null);
+});
+
+test('toJamo leaves out an empty final', () => {
+  assert.deepStrictEqual(Hangul.toJamo('가'), ['ㄱ', 'ㅏ']);
+  assert.deepStrictEqual(Hangul.toJamo('강'), ['ㄱ', 'ㅏ', 'ㅇ']);
+  assert.deepStrictEqual(Hangul.toJamo('!'), []);
+});
+
+test('romanize follows the Revised Romanization with sound changes', () => {
+  const cases = {
+    '안녕하세요': 'annyeonghaseyo',
+    '감사합니다': 'gamsahamnida',   // nasalization
+    '한국어': 'hangugeo',           // liaison
+    '읽어요': 'ilgeoyo',            // double final carried over
+    '학교': 'hakgyo',
+    '신라': 'silla',                // ㄹ assimilation
+    '독립': 'dongnip',
+    '좋다': 'jota',                 // aspiration with ㅎ
+    '같이': 'gachi'                 // palatalization
+  };
+  Object.entries(cases).forEach(([korean, roman]) => {
+    assert.strictEqual(Hangul.romanize(korean), roman, korean);
+  });
+});
+
+test('romanize passes other characters through', () => {
+  assert.strictEqual(Hangul.romanize('Hello 친구!'), 'Hello chingu!');
+});
+
+test('splitScriptRuns keeps spaces and punctuation with the run they follow', () => {
+  assert.deepStrictEqual(Hangul.splitScriptRuns('저는 Minsu예요.'), [
+    { lang: 'ko', text: '저는 ' },
+    { lang: 'en', text: 'Minsu' },
+    { lang: 'ko', text: '예요.' }
+  ]);
+  assert.deepStrictEqual(Hangul.splitScriptRuns('123', 'ko'), [{ lang: 'ko', text: '123' }]);
+});
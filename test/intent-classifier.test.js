@@ -0,0 +1,48 @@
+/**
+ * Tests for js/intent-classifier.js, trained on the real data/intents.json
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { IntentClassifier } = require('../js/intent-classifier.js');
+const data = require('../data/intents.json');
+
+function trained() {
+  const classifier = new IntentClassifier();
+  classifier.train(data);
+  return classifier;
+}
+
+test('every sample phrase classifies as its own intent', () => {
+  const classifier = trained();
+  Object.entries(data.intents).forEach(([intent, examples]) => {
+    examples.forEach(example => {
+      assert.strictEqual(classifier.classify(example).intent, intent, `"${example}"`);
+    });
+  });
+});
+
+test('"how are you doing?" is a feeling question, not a hobby one', () => {
+  assert.strictEqual(trained().classify('how are you doing?').intent, 'feeling');
+});
+
+test('thanks is not mistaken for a practice request', () => {
+  const classifier = trained();
+  assert.strictEqual(classifier.classify('thanks').intent, 'thanks');
+  assert.strictEqual(classifier.classify('Thank you so much!').intent, 'thanks');
+  assert.strictEqual(classifier.classify('고마워요').intent, 'thanks');
+});
+
+test('messages below the threshold ask for clarification', () => {
+  const classifier = trained();
+  ['the bus is late', 'purple elephants dance'].forEach(text => {
+    const result = classifier.classify(text);
+    assert.ok(result.confidence < classifier.threshold, `"${text}" scored ${result.confidence}`);
+    assert.strictEqual(result.intent, 'clarify');
+  });
+});
+
+test('an untrained classifier falls back to the default category', () => {
+  assert.deepStrictEqual(new IntentClassifier().classify('hello'), { intent: 'default', confidence: 0, scores: {} });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for js/llm-provider.js against a local chat-completions server
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+// A classic script global in the browser (js/fetch-timeout.js)
+global.fetchWithTimeout = require('../js/fetch-timeout.js').fetchWithTimeout;
+const { OpenAICompatibleProvider } = require('../js/llm-provider.js');
+
+const TOKENS = ['[calm] ', 'I ', 'like ', 'football', '.'];
+
+// Streams one token every 100 ms; /stall/ sends the first token and then nothing
+function startServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const tokens = req.url.startsWith('/stall/') ? TOKENS.slice(0, 1) : TOKENS;
+    let i = 0;
+    const timer = setInterval(() => {
+      if (i < tokens.length) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: tokens[i++] } }] })}\n\n`);
+      } else if (tokens === TOKENS) {
+        clearInterval(timer);
+        res.end('data: [DONE]\n\n');
+      }
+    }, 100);
+    res.on('close', () => clearInterval(timer));
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('OpenAICompatibleProvider streaming', async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const messages = [{ role: 'user', content: 'What do you like?' }];
+
+  await t.test('a reply that takes longer than the timeout is kept while tokens keep coming', async () => {
+    const provider = new OpenAICompatibleProvider({ baseURL: `${base}/v1`, timeout: 250 });
+    const streamed = [];
+    const text = await provider.generate(messages, { onToken: token => streamed.push(token) });
+
+    assert.strictEqual(text, '[calm] I like football.');
+    assert.deepStrictEqual(streamed, TOKENS);
+  });
+
+  await t.test('a stream that stops mid-reply times out as unreachable', async () => {
+    const provider = new OpenAICompatibleProvider({ baseURL: `${base}/stall/v1`, timeout: 250 });
+    await assert.rejects(provider.generate(messages, { onToken: () => {} }), e => e.unreachable === true);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for js/pronunciation.js
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Pronunciation } = require('../js/pronunciation.js');
+
+test('a perfect transcript scores 100', () => {
+  const result = Pronunciation.score('안녕하세요', '안녕하세요.');
+  assert.strictEqual(result.score, 100);
+  assert.strictEqual(result.distance, 0);
+  assert.ok(result.syllables.every(syllable => syllable.correct));
+});
+
+test('one wrong vowel costs one jamo and marks its syllable', () => {
+  const result = Pronunciation.score('안녕하세요', '안녕하세여');
+  assert.strictEqual(result.distance, 1);
+  assert.strictEqual(result.score, 92);
+  assert.deepStrictEqual(result.syllables[4], { char: '요', heard: '여', correct: false });
+  assert.ok(result.syllables.slice(0, 4).every(syllable => syllable.correct));
+});
+
+test('a missing syllable is aligned as missing, not shifted', () => {
+  const result = Pronunciation.score('감사합니다', '감사니다');
+  assert.deepStrictEqual(result.syllables.map(syllable => syllable.heard), ['감', '사', null, '니', '다']);
+});
+
+test('a transcript without Korean scores 0', () => {
+  const result = Pronunciation.score('안녕', 'hello');
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.heard, '');
+});
+
+test('findPrompt takes a quoted phrase or one directly after "say"', () => {
+  const prompts = {
+    "Can you say '감사합니다'?": '감사합니다',
+    'Try saying 안녕하세요!': '안녕하세요',
+    'Say “잘 가요” to me.': '잘 가요',
+    "Can you say this word: '사과'?": '사과',
+    "'안녕하세요'라고 말해 보세요": '안녕하세요'
+  };
+  Object.entries(prompts).forEach(([text, phrase]) => {
+    assert.strictEqual(Pronunciation.findPrompt(text), phrase, text);
+  });
+});
+
+test('findPrompt ignores Korean that only follows "say" in prose', () => {
+  [
+    'I want to say something. 안녕',
+    'Let me say this: 저는 학생이에요',
+    'Nice! 안녕하세요 means hello.',
+    '',
+    null
+  ].forEach(text => {
+    assert.strictEqual(Pronunciation.findPrompt(text), null, String(text));
+  });
+});
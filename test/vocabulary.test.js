@@ -0,0 +1,86 @@
+/**
+ * Tests for the SM-2 scheduling in js/vocabulary.js
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser globals this classic script expects; the deck saves through Settings
+global.window = {};
+global.Settings = require('../js/settings.js').Settings;
+
+const { VocabularyDeck } = require('../js/vocabulary.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 2, 1);
+
+function deckWith(...words) {
+  const deck = new VocabularyDeck();
+  words.forEach(word => {
+    deck.cards[word] = deck.createCard(word, 'gloss', NOW);
+  });
+  return deck;
+}
+
+test('a new card is first due after the learning delay', () => {
+  const deck = deckWith('학교');
+  assert.strictEqual(deck.cards['학교'].due, NOW + 10 * 60 * 1000);
+  assert.strictEqual(deck.cards['학교'].ease, 2.5);
+});
+
+test('passes grow the interval by 1, 6 and then the ease, and a miss starts over', () => {
+  const deck = deckWith('학교');
+
+  let card = deck.review('학교', 4, NOW);
+  assert.strictEqual(card.interval, 1);
+  assert.strictEqual(card.repetitions, 1);
+  assert.strictEqual(card.ease, 2.5);
+  assert.strictEqual(card.due, NOW + DAY_MS);
+
+  card = deck.review('학교', 5, NOW);
+  assert.strictEqual(card.interval, 6);
+  assert.ok(Math.abs(card.ease - 2.6) < 1e-9);
+
+  card = deck.review('학교', 4, NOW);
+  assert.strictEqual(card.interval, 16);
+  assert.strictEqual(card.due, NOW + 16 * DAY_MS);
+
+  card = deck.review('학교', 1, NOW);
+  assert.strictEqual(card.interval, 0);
+  assert.strictEqual(card.repetitions, 0);
+  assert.strictEqual(card.lapses, 1);
+  assert.strictEqual(card.due, NOW + 10 * 60 * 1000);
+  assert.ok(Math.abs(card.ease - 2.06) < 1e-9);
+
+  card = deck.review('학교', 4, NOW);
+  assert.strictEqual(card.interval, 1);
+  assert.strictEqual(card.reviews, 5);
+  assert.strictEqual(card.correct, 4);
+});
+
+test('ease never drops below 1.3', () => {
+  const deck = deckWith('학교');
+  for (let i = 0; i < 5; i++) deck.review('학교', 0, NOW);
+  assert.strictEqual(deck.cards['학교'].ease, 1.3);
+
+  deck.review('학교', 3, NOW);
+  assert.strictEqual(deck.cards['학교'].ease, 1.3);
+});
+
+test('quality is clamped to 0-5 and an unknown word is not reviewed', () => {
+  const deck = deckWith('학교');
+  deck.review('학교', 9, NOW);
+  assert.ok(Math.abs(deck.cards['학교'].ease - 2.6) < 1e-9);
+  assert.strictEqual(deck.review('친구', 5, NOW), null);
+});
+
+test('getDue returns only due cards, most overdue first', () => {
+  const deck = deckWith('학교', '친구', '선생님');
+  deck.cards['학교'].due = NOW - DAY_MS;
+  deck.cards['친구'].due = NOW - 2 * DAY_MS;
+  deck.review('선생님', 5, NOW);
+
+  assert.deepStrictEqual(deck.getDue(NOW).map(card => card.word), ['친구', '학교']);
+  assert.deepStrictEqual(deck.getDue(NOW + DAY_MS).map(card => card.word), ['친구', '학교', '선생님']);
+});